@@ -0,0 +1,178 @@
+/**
+ * Figma MCP Compiler CLI
+ * Headless commands that compile a Figma design straight to disk,
+ * without starting the Express server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MCPCompiler = require('./mcp-compiler');
+const FigmaSnapshot = require('./figma-snapshot');
+
+const USAGE = `Usage:
+  figma-compile [port]                       Start the web compiler (default port 3000)
+  figma-compile build <figma-url> [options]  Compile a design and write the export to disk
+  figma-compile build --snapshot <file>      Compile a saved .figsnap snapshot, offline
+
+Build options:
+  --format <html|react>  Export format (default: html)
+  --out <dir>            Output directory (default: OUTPUT_DIR or ./output)
+  --token <token>        Figma access token (default: FIGMA_ACCESS_TOKEN)
+  --node <id>            Node ID to compile, overrides the URL's node-id (e.g. 12:34 or 12-34)
+  --no-cache             Fetch everything from Figma instead of the on-disk cache
+  --svg-files            Write vectors as separate .svg files instead of inline SVG
+  --responsive-images    Export 1x/2x, WebP and AVIF image variants with srcset and lazy loading
+  --self-host-fonts      Download the design's web fonts into the export instead of linking Google Fonts
+  --api-url <url>        Figma REST API base URL (default: FIGMA_API_BASE_URL or https://api.figma.com/v1)
+  --snapshot <file>      Compile from a .figsnap snapshot instead of Figma (no token needed)
+  --save-snapshot <file> Also save what was fetched as a .figsnap snapshot
+  -h, --help             Show this help
+`;
+
+/**
+ * Parse command line arguments into positionals and --flag values
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-h' || arg === '--help') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      if (eq !== -1) {
+        flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+      } else if (arg.startsWith('--no-')) {
+        flags[arg.slice(5)] = false;
+      } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        flags[arg.slice(2)] = args[++i];
+      } else {
+        flags[arg.slice(2)] = true;
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Write export files ({ name, content }) under the output directory
+ */
+function writeFiles(outDir, files) {
+  for (const file of files) {
+    const filePath = path.join(outDir, file.name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, file.content);
+  }
+}
+
+/**
+ * `figma-compile build <figma-url>` - fetch, translate and export a design
+ * Resolves with the process exit code
+ */
+async function build(args) {
+  const { positionals, flags } = parseArgs(args);
+
+  if (flags.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const url = positionals[0];
+  const snapshotPath = typeof flags.snapshot === 'string' ? flags.snapshot : null;
+  if (!url && !snapshotPath) {
+    console.error('❌ A Figma URL is required\n');
+    console.error(USAGE);
+    return 1;
+  }
+
+  const format = flags.format || 'html';
+  if (format !== 'html' && format !== 'react') {
+    console.error(`❌ Unknown format "${format}" - use html or react`);
+    return 1;
+  }
+
+  const token = typeof flags.token === 'string' ? flags.token : process.env.FIGMA_ACCESS_TOKEN;
+  if (!token && !snapshotPath && process.env.USE_MOCK_DATA !== 'true') {
+    console.error('❌ Figma token required - pass --token or set FIGMA_ACCESS_TOKEN');
+    return 1;
+  }
+
+  const outDir = path.resolve(typeof flags.out === 'string' ? flags.out : (process.env.OUTPUT_DIR || './output'));
+
+  try {
+    const compiler = new MCPCompiler();
+    let figmaData;
+    if (snapshotPath) {
+      console.log(`📂 Compiling snapshot ${snapshotPath} as ${format}...`);
+      figmaData = compiler.loadSnapshot(FigmaSnapshot.read(snapshotPath));
+    } else {
+      const parsed = compiler.parseFigmaUrl(url);
+      const nodeId = typeof flags.node === 'string' ? flags.node.replace('-', ':') : parsed.nodeId;
+
+      console.log(`📂 Compiling ${parsed.fileKey}${nodeId ? ' (node ' + nodeId + ')' : ''} as ${format}...`);
+      figmaData = await compiler.fetchFigmaData(parsed.fileKey, nodeId, {
+        token,
+        apiBaseUrl: typeof flags['api-url'] === 'string' ? flags['api-url'] : undefined,
+        cache: flags.cache !== false
+      });
+
+      if (typeof flags['save-snapshot'] === 'string') {
+        const snapshot = await compiler.createSnapshot(figmaData, { fileKey: parsed.fileKey, nodeId, url });
+        snapshot.write(flags['save-snapshot']);
+        console.log(`📸 Saved snapshot to ${path.resolve(flags['save-snapshot'])}`);
+      }
+    }
+
+    const exportOptions = {
+      svgFiles: flags['svg-files'] === true,
+      responsiveImages: flags['responsive-images'] === true,
+      selfHostFonts: flags['self-host-fonts'] === true
+    };
+    const { files, failedAssets, failedFonts } = format === 'react'
+      ? await compiler.generateReactExport(figmaData, exportOptions)
+      : await compiler.generateHTMLExport(figmaData, exportOptions);
+
+    writeFiles(outDir, files);
+    console.log(`✅ Wrote ${files.length} files to ${outDir}`);
+
+    if (compiler.assetErrors.length > 0) {
+      console.warn(`⚠️  ${compiler.assetErrors.length} assets failed to load - the export is incomplete:`);
+      for (const failure of compiler.assetErrors) {
+        console.warn(`   ${failure.type}${failure.nodeId ? ' ' + failure.nodeId : ''}: ${failure.message}`);
+      }
+    }
+    if (compiler.compileWarnings.length > 0) {
+      console.warn(`⚠️  ${compiler.compileWarnings.length} design features could not be reproduced:`);
+      for (const warning of compiler.compileWarnings) {
+        console.warn(`   ${warning.nodeId ? warning.nodeId + ': ' : ''}${warning.message}`);
+      }
+    }
+    if (failedAssets.length > 0) {
+      console.warn(`⚠️  ${failedAssets.length} assets could not be downloaded and still point at Figma's URLs:`);
+      for (const failure of failedAssets) {
+        console.warn(`   ${failure.type} ${failure.nodeId}: ${failure.message}`);
+      }
+    }
+    if (failedFonts.length > 0) {
+      console.warn(`⚠️  ${failedFonts.length} fonts could not be loaded from Google Fonts and may fall back to another font:`);
+      for (const failure of failedFonts) {
+        console.warn(`   ${failure.family} (${failure.variants}): ${failure.message}`);
+      }
+    }
+    return 0;
+  } catch (err) {
+    console.error('❌ Build failed:', err.message);
+    return 1;
+  }
+}
+
+const commands = {
+  build
+};
+
+module.exports = { commands, parseArgs, USAGE };
@@ -0,0 +1,349 @@
+/**
+ * Design Token Exporter
+ * Serializes the variables and styles used by a compiled node into token formats:
+ * W3C DTCG JSON, CSS custom properties, SCSS, a Tailwind theme and a JS module.
+ * Aliases (a semantic token pointing at a primitive) stay references in every format.
+ */
+
+const FORMATS = {
+  dtcg: { fileName: 'tokens.json', contentType: 'application/json' },
+  css: { fileName: 'tokens.css', contentType: 'text/css' },
+  scss: { fileName: '_tokens.scss', contentType: 'text/x-scss' },
+  tailwind: { fileName: 'tailwind.tokens.js', contentType: 'application/javascript' },
+  js: { fileName: 'tokens.js', contentType: 'application/javascript' }
+};
+
+class DesignTokenExporter {
+  /**
+   * @param {Object} tokens - built by MCPCompiler.buildDesignTokens()
+   * @param {Array} tokens.variables - { id, name, collection, cssVar, type, scopes, modes: [{ name, isDefault, value, aliasOf }] }
+   * @param {Array} tokens.styles - { id, name, styleType, cssVar, type, value, aliasOf }
+   * @param {string} [tokens.variableCSS] - :root + mode blocks for the variables
+   */
+  constructor(tokens = {}) {
+    this.variables = tokens.variables || [];
+    this.styles = tokens.styles || [];
+    this.variableCSS = tokens.variableCSS || '';
+    this.byId = new Map(this.variables.map(token => [token.id, token]));
+  }
+
+  static get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Serialize to one format. Returns { fileName, contentType, content }
+   */
+  export(format = 'dtcg') {
+    const info = FORMATS[format];
+    if (!info) {
+      throw new Error(`Unknown token format "${format}" - use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const writers = {
+      dtcg: () => JSON.stringify(this.toDTCG(), null, 2) + '\n',
+      css: () => this.toCSS(),
+      scss: () => this.toSCSS(),
+      tailwind: () => this.toTailwind(),
+      js: () => this.toJS()
+    };
+
+    return { ...info, content: writers[format]() };
+  }
+
+  // Token path: collection, then the slash-separated variable name
+  getPath(token) {
+    const segments = token.name.split('/').map(part => part.trim().replace(/\./g, '-')).filter(Boolean);
+    return token.collection ? [token.collection.replace(/\./g, '-'), ...segments] : segments;
+  }
+
+  getDefaultMode(token) {
+    return token.modes.find(mode => mode.isDefault) || token.modes[0] || { value: null, aliasOf: null };
+  }
+
+  // Resolve an alias ID to its target token (or null when the target wasn't loaded)
+  getAliasTarget(aliasOf) {
+    return aliasOf ? this.byId.get(aliasOf) || null : null;
+  }
+
+  // Tokens ordered so alias targets come before the tokens that reference them
+  getOrderedVariables() {
+    const ordered = [];
+    const visited = new Set();
+    const visit = token => {
+      if (visited.has(token.id)) return;
+      visited.add(token.id);
+      for (const mode of token.modes) {
+        const target = this.getAliasTarget(mode.aliasOf);
+        if (target) visit(target);
+      }
+      ordered.push(token);
+    };
+    this.variables.forEach(visit);
+    return ordered;
+  }
+
+  // Literal value without CSS quoting (font families are quoted for CSS)
+  plainValue(value) {
+    return typeof value === 'string' ? value.replace(/^'(.*)'$/, '$1') : value;
+  }
+
+  // Style value with CSS quoting removed from composite fields
+  plainStyleValue(style) {
+    if (style.type !== 'typography') return style.value;
+    return Object.fromEntries(Object.entries(style.value).map(([field, value]) => [field, this.plainValue(value)]));
+  }
+
+  /**
+   * W3C Design Tokens Community Group format. Non-default modes are kept
+   * under $extensions["com.figma"].modes
+   */
+  toDTCG() {
+    const root = {};
+    const setToken = (path, token) => {
+      let group = root;
+      for (const segment of path.slice(0, -1)) {
+        group[segment] = group[segment] || {};
+        group = group[segment];
+      }
+      group[path[path.length - 1]] = token;
+    };
+    const reference = target => `{${this.getPath(target).join('.')}}`;
+    const dtcgValue = mode => {
+      const target = this.getAliasTarget(mode.aliasOf);
+      return target ? reference(target) : this.plainValue(mode.value);
+    };
+
+    for (const token of this.variables) {
+      const entry = {};
+      if (token.type) entry.$type = token.type;
+      entry.$value = dtcgValue(this.getDefaultMode(token));
+      const otherModes = token.modes.filter(mode => !mode.isDefault);
+      if (otherModes.length > 0) {
+        entry.$extensions = {
+          'com.figma': {
+            modes: Object.fromEntries(otherModes.map(mode => [mode.name, dtcgValue(mode)]))
+          }
+        };
+      }
+      setToken(this.getPath(token), entry);
+    }
+
+    for (const style of this.styles) {
+      const target = this.getAliasTarget(style.aliasOf);
+      const entry = { $type: style.type, $value: target ? reference(target) : this.plainStyleValue(style) };
+      if (style.description) entry.$description = style.description;
+      setToken(['styles', ...style.name.split('/').map(part => part.trim()).filter(Boolean)], entry);
+    }
+
+    return root;
+  }
+
+  // CSS declarations for one style (composites expand into one property per field)
+  styleDeclarations(style) {
+    const target = this.getAliasTarget(style.aliasOf);
+    if (target) return [[style.cssVar, `var(${target.cssVar})`]];
+
+    switch (style.type) {
+      case 'typography':
+        return Object.entries(style.value)
+          .map(([field, value]) => [`${style.cssVar}-${field.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}`, value]);
+      case 'shadow':
+        return [[style.cssVar, this.shadowToCSS(style.value)]];
+      case 'gradient':
+        return [[style.cssVar, `linear-gradient(${style.value.map(stop => `${stop.color} ${Math.round(stop.position * 100)}%`).join(', ')})`]];
+      default:
+        return [[style.cssVar, style.value]];
+    }
+  }
+
+  shadowToCSS(shadows) {
+    return shadows.map(s => `${s.inset ? 'inset ' : ''}${s.offsetX} ${s.offsetY} ${s.blur} ${s.spread} ${s.color}`).join(', ');
+  }
+
+  toCSS() {
+    const parts = ['/* Design tokens - generated by Figma MCP Compiler */'];
+    if (this.variableCSS) parts.push(this.variableCSS);
+    if (this.styles.length > 0) {
+      const lines = this.styles.flatMap(style => this.styleDeclarations(style)).map(([name, value]) => `  ${name}: ${value};`);
+      parts.push(`/* Figma styles */\n:root {\n${lines.join('\n')}\n}`);
+    }
+    return parts.join('\n\n') + '\n';
+  }
+
+  toSCSS() {
+    const scssName = token => '$' + token.cssVar.slice(2);
+    // Tokens written as Sass variables; an alias to any other token uses its own value
+    const emitted = new Set();
+    const scssValue = mode => {
+      const target = this.getAliasTarget(mode.aliasOf);
+      return target && emitted.has(target) ? scssName(target) : mode.value;
+    };
+
+    const lines = ['// Design tokens - generated by Figma MCP Compiler', ''];
+    for (const token of this.getOrderedVariables()) {
+      const value = scssValue(this.getDefaultMode(token));
+      if (value === null || value === undefined) continue;
+      lines.push(`${scssName(token)}: ${value};`);
+      emitted.add(token);
+    }
+
+    // Other modes as a map: $figma-modes: ('dark': ('semantic-bg': #000, ...))
+    const modes = new Map();
+    for (const token of this.variables) {
+      for (const mode of token.modes.filter(m => !m.isDefault)) {
+        const value = scssValue(mode);
+        if (value === null || value === undefined) continue;
+        if (!modes.has(mode.name)) modes.set(mode.name, []);
+        modes.get(mode.name).push(`    '${token.cssVar.slice(2)}': ${value}`);
+      }
+    }
+    if (modes.size > 0) {
+      lines.push('', '$figma-modes: (');
+      lines.push(Array.from(modes.entries())
+        .map(([name, entries]) => `  '${name}': (\n${entries.join(',\n')}\n  )`)
+        .join(',\n'));
+      lines.push(');');
+    }
+
+    if (this.styles.length > 0) {
+      lines.push('', '// Figma styles');
+      for (const style of this.styles) {
+        const name = '$' + style.cssVar.slice(2);
+        const target = this.getAliasTarget(style.aliasOf);
+        if (target && emitted.has(target)) {
+          lines.push(`${name}: ${scssName(target)};`);
+        } else if (style.type === 'typography') {
+          const fields = Object.entries(style.value)
+            .map(([field, value]) => `  '${field.replace(/[A-Z]/g, c => '-' + c.toLowerCase())}': ${value}`);
+          lines.push(`${name}: (\n${fields.join(',\n')}\n);`);
+        } else {
+          lines.push(`${name}: ${this.styleDeclarations({ ...style, aliasOf: null })[0][1]};`);
+        }
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  // Tailwind theme section for a variable token
+  tailwindSection(token) {
+    const scopes = token.scopes || [];
+    switch (token.type) {
+      case 'color': return 'colors';
+      case 'fontFamily': return 'fontFamily';
+      case 'fontWeight': return 'fontWeight';
+      case 'dimension':
+        if (scopes.includes('FONT_SIZE')) return 'fontSize';
+        if (scopes.includes('CORNER_RADIUS')) return 'borderRadius';
+        if (scopes.includes('LINE_HEIGHT')) return 'lineHeight';
+        if (scopes.includes('LETTER_SPACING')) return 'letterSpacing';
+        return 'spacing';
+      case 'number':
+        return scopes.includes('OPACITY') ? 'opacity' : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Tailwind theme.extend that points at the CSS custom properties, so modes
+   * and aliases keep working (load tokens.css alongside it)
+   */
+  toTailwind() {
+    const extend = {};
+    const setValue = (section, path, value) => {
+      extend[section] = extend[section] || {};
+      let group = extend[section];
+      for (const segment of path.slice(0, -1)) {
+        if (typeof group[segment] !== 'object') group[segment] = {};
+        group = group[segment];
+      }
+      group[path[path.length - 1]] = value;
+    };
+    const slugPath = path => path.map(part => part.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''));
+
+    for (const token of this.variables) {
+      const section = this.tailwindSection(token);
+      if (section) setValue(section, slugPath(this.getPath(token)), `var(${token.cssVar})`);
+    }
+    for (const style of this.styles) {
+      const path = slugPath(style.name.split('/'));
+      if (style.type === 'color') setValue('colors', ['styles', ...path], `var(${style.cssVar})`);
+      if (style.type === 'shadow') setValue('boxShadow', path, `var(${style.cssVar})`);
+    }
+
+    return [
+      '// Design tokens - generated by Figma MCP Compiler',
+      '// Values reference the CSS custom properties in tokens.css',
+      `module.exports = ${JSON.stringify({ theme: { extend } }, null, 2)};`,
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * ES module with one export per token; aliases are real references to the primitive.
+   * An alias whose target isn't exported (no value) is written as the value its chain
+   * resolves to, else its own value, or left out, and names two tokens share get a numeric suffix
+   */
+  toJS() {
+    const toIdentifier = cssVar => cssVar.slice(2).replace(/-([a-z0-9])/g, (m, c) => c.toUpperCase()).replace(/^(\d)/, '_$1');
+    const names = new Map(); // token or style -> its export name
+    const declare = item => {
+      const base = toIdentifier(item.cssVar);
+      const taken = new Set(names.values());
+      let name = base;
+      for (let i = 2; taken.has(name); i++) name = `${base}${i}`;
+      names.set(item, name);
+      return name;
+    };
+    // Reference to an exported token, else the literal value (null without one)
+    const literal = value => value === null || value === undefined ? null : JSON.stringify(this.plainValue(value));
+    const jsValue = mode => {
+      const visited = new Set();
+      let current = mode;
+      while (current.aliasOf) {
+        const target = this.getAliasTarget(current.aliasOf);
+        if (!target || visited.has(target)) break;
+        if (names.has(target)) return names.get(target);
+        visited.add(target);
+        current = target.modes.find(m => m.name === current.name) || this.getDefaultMode(target);
+      }
+      return literal(current.value) ?? literal(mode.value);
+    };
+
+    const lines = ['// Design tokens - generated by Figma MCP Compiler', ''];
+    for (const token of this.getOrderedVariables()) {
+      const value = jsValue(this.getDefaultMode(token));
+      if (value === null) continue;
+      lines.push(`export const ${declare(token)} = ${value};`);
+    }
+
+    for (const style of this.styles) {
+      const target = this.getAliasTarget(style.aliasOf);
+      const value = names.has(target) ? names.get(target) : JSON.stringify(this.plainStyleValue(style));
+      lines.push(`export const ${declare(style)} = ${value};`);
+    }
+
+    const modes = {};
+    for (const token of this.variables) {
+      for (const mode of token.modes.filter(m => !m.isDefault)) {
+        const value = jsValue(mode);
+        if (value === null) continue;
+        modes[mode.name] = modes[mode.name] || [];
+        modes[mode.name].push(`    ${names.get(token) || toIdentifier(token.cssVar)}: ${value}`);
+      }
+    }
+    if (Object.keys(modes).length > 0) {
+      lines.push('', '// Values for non-default variable modes');
+      lines.push('export const modes = {');
+      lines.push(Object.entries(modes).map(([name, entries]) => `  ${JSON.stringify(name)}: {\n${entries.join(',\n')}\n  }`).join(',\n'));
+      lines.push('};');
+    }
+
+    lines.push('', `export default { ${Array.from(names.values()).join(', ')} };`, '');
+    return lines.join('\n');
+  }
+}
+
+module.exports = DesignTokenExporter;
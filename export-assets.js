@@ -0,0 +1,199 @@
+/**
+ * Export Assets
+ * Downloads the images, GIFs, videos and SVGs an export references into the export
+ * itself, under content-hashed file names, so deployed exports don't hot-link Figma's
+ * render URLs (which expire after a while). Also builds the 1x/2x, WebP and AVIF
+ * variants for responsive images.
+ */
+
+const crypto = require('crypto');
+
+// Modern formats for <picture> sources, best first. Encoding needs the optional sharp package
+const RESPONSIVE_FORMATS = [
+  { format: 'avif', contentType: 'image/avif' },
+  { format: 'webp', contentType: 'image/webp' }
+];
+
+let sharp;
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (err) {
+      sharp = null;
+    }
+  }
+  return sharp;
+}
+
+// Content types sniffed from the first bytes - Figma's CDN URLs carry no extension
+const SIGNATURES = [
+  { contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { contentType: 'image/gif', bytes: [0x47, 0x49, 0x46] },
+  { contentType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], also: { at: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+  { contentType: 'video/quicktime', bytes: [0x66, 0x74, 0x79, 0x70, 0x71, 0x74], at: 4 },
+  { contentType: 'video/mp4', bytes: [0x66, 0x74, 0x79, 0x70], at: 4 },
+  { contentType: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { contentType: 'font/woff2', bytes: [0x77, 0x4f, 0x46, 0x32] }
+];
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'font/woff2': 'woff2'
+};
+
+function sniffContentType(buffer) {
+  const matches = (bytes, at = 0) => bytes.every((byte, i) => buffer[at + i] === byte);
+  for (const signature of SIGNATURES) {
+    if (matches(signature.bytes, signature.at) && (!signature.also || matches(signature.also.bytes, signature.also.at))) {
+      return signature.contentType;
+    }
+  }
+  return /^\s*(<\?xml|<svg)/.test(buffer.slice(0, 256).toString('utf8')) ? 'image/svg+xml' : 'application/octet-stream';
+}
+
+class ExportAssets {
+  /**
+   * @param {Object} options
+   * @param {FigmaHttpClient} options.http - downloads remote URLs (pool, retries and cache)
+   * @param {string} [options.dir] - folder the files go in, inside the export (default assets)
+   * @param {string} [options.publicPath] - how the export's HTML/CSS refers to that folder (default: dir)
+   */
+  constructor(options = {}) {
+    this.http = options.http;
+    this.dir = options.dir || 'assets';
+    this.publicPath = options.publicPath || this.dir;
+    this.files = []; // { name, content } to add to the export
+    this.failed = []; // { nodeId, type, code, status, message } for assets left hot-linked
+    this.byHash = new Map(); // content hash -> public path, so identical files are written once
+    this.loads = new Map(); // source URL -> Promise of { buffer, contentType }
+  }
+
+  /**
+   * Whether WebP/AVIF variants can be encoded (the optional sharp package is installed)
+   */
+  static canEncode() {
+    return !!loadSharp();
+  }
+
+  /**
+   * Content type of a downloaded file, from its first bytes
+   */
+  static sniffContentType(buffer) {
+    return sniffContentType(buffer);
+  }
+
+  /**
+   * Add file content under `<name>-<hash>.<ext>`. Returns its public path
+   */
+  addContent(content, nameHint, contentType) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 10);
+    if (this.byHash.has(hash)) return this.byHash.get(hash);
+
+    const type = contentType || sniffContentType(buffer);
+    const slug = String(nameHint || 'asset').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'asset';
+    const fileName = `${slug}-${hash}.${EXTENSIONS[type] || 'bin'}`;
+    const publicPath = `${this.publicPath}/${fileName}`;
+
+    this.files.push({ name: `${this.dir}/${fileName}`, content: buffer });
+    this.byHash.set(hash, publicPath);
+    return publicPath;
+  }
+
+  /**
+   * Download a URL (or decode a data URI) into the export. Resolves with its public path
+   */
+  async add(url, nameHint) {
+    const { buffer, contentType } = await this.load(url);
+    return this.addContent(buffer, nameHint, contentType);
+  }
+
+  /**
+   * Download a URL or decode a data URI, once per URL. Resolves with { buffer, contentType }
+   */
+  load(url) {
+    if (!this.loads.has(url)) {
+      this.loads.set(url, this._load(url));
+    }
+    return this.loads.get(url);
+  }
+
+  async _load(url) {
+    const dataUri = url.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+    if (dataUri) {
+      const buffer = dataUri[2] ? Buffer.from(dataUri[3], 'base64') : Buffer.from(decodeURIComponent(dataUri[3]));
+      return { buffer, contentType: dataUri[1] || null };
+    }
+    return { buffer: await this.http.getBuffer(url), contentType: null };
+  }
+
+  /**
+   * Add the variants of a responsive image. `renders` maps pixel widths to the renders
+   * already available (e.g. Figma's 1x and 2x); other `widths` are resized from the
+   * largest render, and each width is also encoded as AVIF and WebP - both need sharp,
+   * without it only the given renders are used.
+   * Resolves with { src, srcset, sources: [{ type, srcset }] } - src is the smallest width
+   */
+  async addResponsive(renders, widths, nameHint) {
+    const sharpLib = loadSharp();
+    const largest = renders[Math.max(...Object.keys(renders).map(Number))];
+    const variants = [];
+    for (const width of [...widths].sort((a, b) => a - b)) {
+      let buffer = renders[width];
+      if (!buffer && sharpLib) {
+        buffer = await sharpLib(largest).resize({ width }).png().toBuffer();
+      }
+      if (buffer) variants.push({ width, buffer });
+    }
+    if (variants.length === 0) return null;
+
+    const srcsetFor = files => files.map(file => `${file.path} ${file.width}w`).join(', ');
+    const fallback = variants.map(({ width, buffer }) => ({ width, path: this.addContent(buffer, `${nameHint}-${width}w`) }));
+
+    const sources = [];
+    if (sharpLib) {
+      for (const { format, contentType } of RESPONSIVE_FORMATS) {
+        const files = [];
+        for (const { width, buffer } of variants) {
+          const encoded = await sharpLib(buffer).toFormat(format).toBuffer();
+          files.push({ width, path: this.addContent(encoded, `${nameHint}-${width}w`, contentType) });
+        }
+        sources.push({ type: contentType, srcset: srcsetFor(files) });
+      }
+    }
+
+    return { src: fallback[0].path, srcset: srcsetFor(fallback), sources };
+  }
+
+  /**
+   * Localize a { nodeId: url } map. Assets that can't be downloaded keep their URL
+   * and are listed in `failed`
+   * @param {Object} urls
+   * @param {string} type - asset type for failure reports (image, gif, video)
+   * @param {Function} nameFor - nodeId -> file name hint
+   */
+  async localize(urls, type, nameFor) {
+    const localized = {};
+    await Promise.all(Object.entries(urls || {}).map(async ([nodeId, url]) => {
+      try {
+        localized[nodeId] = await this.add(url, nameFor(nodeId));
+      } catch (err) {
+        localized[nodeId] = url;
+        this.failed.push({ nodeId, type, code: err.code || 'ERROR', status: err.status || null, message: err.message });
+      }
+    }));
+    return localized;
+  }
+}
+
+module.exports = ExportAssets;
@@ -0,0 +1,134 @@
+/**
+ * Figma Cache
+ * Persistent on-disk cache of Figma API responses and downloaded assets.
+ * Entries live under <dir>/<fileKey>/<token hash>/<version>/ so a new file version never
+ * sees stale data and a token is only ever served what it fetched itself. Each entry
+ * expires after the TTL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_DIR = '.figma-cache';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// File keys and versions become directory names
+const safeSegment = value => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+
+class FigmaCache {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dir] - cache directory (default FIGMA_CACHE_DIR or .figma-cache)
+   * @param {number} [options.ttl] - entry lifetime in ms (default FIGMA_CACHE_TTL or 24h)
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || process.env.FIGMA_CACHE_DIR || DEFAULT_CACHE_DIR);
+    this.ttl = options.ttl || parseInt(process.env.FIGMA_CACHE_TTL) || DEFAULT_TTL_MS;
+  }
+
+  /**
+   * Caching is on unless FIGMA_CACHE=false
+   */
+  static isEnabled() {
+    return process.env.FIGMA_CACHE !== 'false';
+  }
+
+  /**
+   * Directory holding one token's cached versions of a file. The token is hashed, never stored
+   */
+  fileDir(fileKey, token) {
+    const owner = crypto.createHash('sha256').update(String(token || '')).digest('hex').slice(0, 16);
+    return path.join(this.dir, safeSegment(fileKey), owner);
+  }
+
+  /**
+   * Cache for one version of a file, as fetched with `token`. With allowStale, expired
+   * entries are still served (used when Figma can't be reached to check the version).
+   */
+  scope(fileKey, version, token, options = {}) {
+    return new FigmaCacheScope(this, path.join(this.fileDir(fileKey, token), safeSegment(version)), options);
+  }
+
+  /**
+   * The most recently written version of a file cached for `token`, or null
+   */
+  latestVersion(fileKey, token) {
+    const fileDir = this.fileDir(fileKey, token);
+    try {
+      const versions = fs.readdirSync(fileDir)
+        .map(name => ({ name, mtime: fs.statSync(path.join(fileDir, name)).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime);
+      return versions.length > 0 ? versions[0].name : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Remove a token's other cached versions of a file once they are older than the TTL
+   */
+  prune(fileKey, keepVersion, token) {
+    const fileDir = this.fileDir(fileKey, token);
+    const keep = safeSegment(keepVersion);
+    try {
+      for (const name of fs.readdirSync(fileDir)) {
+        const versionDir = path.join(fileDir, name);
+        if (name !== keep && Date.now() - fs.statSync(versionDir).mtimeMs > this.ttl) {
+          fs.rmSync(versionDir, { recursive: true, force: true });
+        }
+      }
+    } catch (err) {
+      // Nothing cached for this file yet
+    }
+  }
+}
+
+class FigmaCacheScope {
+  constructor(cache, dir, options = {}) {
+    this.cache = cache;
+    this.dir = dir;
+    this.allowStale = !!options.allowStale;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  _entryPath(key) {
+    return path.join(this.dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  }
+
+  /**
+   * Cached value for a key, or undefined when missing or expired
+   */
+  get(key) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this._entryPath(key), 'utf8'));
+      if (entry.key !== key || (!this.allowStale && Date.now() - entry.createdAt > this.cache.ttl)) {
+        this.misses++;
+        return undefined;
+      }
+      this.hits++;
+      return entry.buffer ? Buffer.from(entry.value, 'base64') : entry.value;
+    } catch (err) {
+      this.misses++;
+      return undefined;
+    }
+  }
+
+  /**
+   * Store a JSON-serializable value, string or Buffer
+   */
+  set(key, value) {
+    const buffer = Buffer.isBuffer(value);
+    const entry = { key, createdAt: Date.now(), buffer, value: buffer ? value.toString('base64') : value };
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(this._entryPath(key), JSON.stringify(entry));
+    } catch (err) {
+      // A read-only or full disk shouldn't fail the compile
+      console.warn('⚠️  Could not write Figma cache entry:', err.message);
+    }
+  }
+}
+
+module.exports = FigmaCache;
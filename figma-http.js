@@ -0,0 +1,230 @@
+/**
+ * Figma HTTP
+ * Shared HTTP layer for every Figma REST call and asset download:
+ * - a concurrency pool, so large designs don't flood the API
+ * - a per-request timeout
+ * - retries with exponential backoff (and jitter) on 429, 5xx, timeouts and network errors,
+ *   waiting for `Retry-After` when Figma sends one
+ * - structured FigmaApiError failures
+ */
+
+const fetch = require('node-fetch');
+
+const FIGMA_API_BASE_URL = 'https://api.figma.com/v1';
+
+/**
+ * Error from a Figma request, with enough detail to report which call failed and why
+ */
+class FigmaApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.code - RATE_LIMITED, UNAUTHORIZED, FORBIDDEN, NOT_FOUND,
+   *   SERVER_ERROR, HTTP_ERROR, TIMEOUT, NETWORK_ERROR, or RENDER_FAILED when Figma
+   *   answered but returned no image for a node
+   * @param {number} [details.status] - HTTP status, when Figma answered
+   * @param {string} [details.url]
+   * @param {number} [details.attempts] - requests made before giving up
+   * @param {number} [details.retryAfter] - seconds Figma asked us to wait
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FigmaApiError';
+    this.code = details.code || 'HTTP_ERROR';
+    this.status = details.status || null;
+    this.url = details.url || null;
+    this.attempts = details.attempts || 1;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+
+  // Rate limits and transient failures are worth retrying
+  get retryable() {
+    return ['RATE_LIMITED', 'SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR'].includes(this.code);
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      status: this.status,
+      message: this.message,
+      attempts: this.attempts
+    };
+  }
+
+  static codeForStatus(status) {
+    if (status === 429) return 'RATE_LIMITED';
+    if (status === 401) return 'UNAUTHORIZED';
+    if (status === 403) return 'FORBIDDEN';
+    if (status === 404) return 'NOT_FOUND';
+    if (status >= 500) return 'SERVER_ERROR';
+    return 'HTTP_ERROR';
+  }
+}
+
+class FigmaHttpClient {
+  /**
+   * @param {Object} options
+   * @param {string} [options.token] - sent as X-Figma-Token on API requests
+   * @param {string} [options.baseUrl] - REST API base URL (default FIGMA_API_BASE_URL or https://api.figma.com/v1)
+   * @param {number} [options.concurrency] - requests in flight at once (default FIGMA_API_CONCURRENCY or 4)
+   * @param {number} [options.timeout] - per-request timeout in ms (default FIGMA_API_TIMEOUT or 30000)
+   * @param {number} [options.retries] - retries after the first attempt (default FIGMA_API_RETRIES or 3)
+   * @param {number} [options.backoff] - first retry delay in ms, doubled each attempt (default 1000)
+   * @param {number} [options.maxDelay] - longest wait between attempts in ms (default 60000)
+   */
+  constructor(options = {}) {
+    this.token = options.token || null;
+    this.baseUrl = (options.baseUrl || process.env.FIGMA_API_BASE_URL || FIGMA_API_BASE_URL).replace(/\/+$/, '');
+    this.concurrency = options.concurrency || parseInt(process.env.FIGMA_API_CONCURRENCY) || 4;
+    this.timeout = options.timeout || parseInt(process.env.FIGMA_API_TIMEOUT) || 30000;
+    this.retries = options.retries ?? (process.env.FIGMA_API_RETRIES !== undefined ? parseInt(process.env.FIGMA_API_RETRIES) : 3);
+    this.backoff = options.backoff ?? 1000;
+    this.maxDelay = options.maxDelay ?? 60000;
+    this.active = 0;
+    this.queue = [];
+    this.cache = null; // FigmaCache scope for the file being compiled, set by the compiler
+  }
+
+  /**
+   * GET a Figma REST endpoint (path relative to the base URL) and parse the JSON body.
+   * Like getText/getBuffer, answers from the cache when one is set, unless `cache: false`.
+   */
+  async getJSON(path, options = {}) {
+    return this._cached('json', this.baseUrl + path, options, async (url, requestOptions) => {
+      const response = await this.request(url, { ...requestOptions, auth: true });
+      return await response.json();
+    });
+  }
+
+  /**
+   * Download an asset URL (e.g. a rendered SVG on Figma's CDN) as text
+   */
+  async getText(url, options = {}) {
+    return this._cached('text', url, options, async (assetUrl, requestOptions) => {
+      const response = await this.request(assetUrl, requestOptions);
+      return await response.text();
+    });
+  }
+
+  /**
+   * Download an asset URL as a Buffer
+   */
+  async getBuffer(url, options = {}) {
+    return this._cached('buffer', url, options, async (assetUrl, requestOptions) => {
+      const response = await this.request(assetUrl, requestOptions);
+      return await response.buffer();
+    });
+  }
+
+  // Serve from the cache scope, or load and store successful responses
+  async _cached(kind, url, options, load) {
+    const { cache = true, ...requestOptions } = options;
+    if (!this.cache || !cache) {
+      return await load(url, requestOptions);
+    }
+
+    const key = `${kind} ${url}`;
+    const hit = this.cache.get(key);
+    if (hit !== undefined) return hit;
+
+    const value = await load(url, requestOptions);
+    this.cache.set(key, value);
+    return value;
+  }
+
+  /**
+   * Fetch through the pool with retries. Resolves with the ok response or rejects
+   * with a FigmaApiError. `auth: true` adds the X-Figma-Token header; `retries` and
+   * `timeout` override the client defaults for this call.
+   */
+  async request(url, options = {}) {
+    const { auth = false, headers = {}, retries = this.retries, timeout = this.timeout, ...fetchOptions } = options;
+    const requestHeaders = { ...headers };
+    if (auth) {
+      if (!this.token) {
+        throw new FigmaApiError('Figma access token required', { code: 'UNAUTHORIZED', url });
+      }
+      requestHeaders['X-Figma-Token'] = this.token;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      let error;
+      try {
+        const response = await this._withSlot(() => fetch(url, {
+          ...fetchOptions,
+          headers: requestHeaders,
+          timeout
+        }));
+
+        if (response.ok) return response;
+
+        const retryAfter = this._parseRetryAfter(response.headers.get('retry-after'));
+        error = new FigmaApiError(`Figma API error: ${response.status} ${response.statusText}`, {
+          code: FigmaApiError.codeForStatus(response.status),
+          status: response.status,
+          url,
+          attempts: attempt,
+          retryAfter
+        });
+        if (!error.retryable) throw error;
+      } catch (err) {
+        if (err instanceof FigmaApiError && !err.retryable) throw err;
+        error = err instanceof FigmaApiError ? err : new FigmaApiError(
+          err.type === 'request-timeout' ? `Figma request timed out after ${timeout}ms` : `Figma request failed: ${err.message}`,
+          { code: err.type === 'request-timeout' ? 'TIMEOUT' : 'NETWORK_ERROR', url, attempts: attempt }
+        );
+      }
+
+      if (attempt > retries) throw error;
+
+      const delay = this._retryDelay(attempt, error.retryAfter);
+      if (process.env.ENABLE_LOGGING === 'true') {
+        console.log(`⏳ ${error.message} - retrying in ${Math.round(delay / 100) / 10}s (${attempt}/${retries})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Exponential backoff with jitter; a Retry-After from Figma wins when it is longer
+  _retryDelay(attempt, retryAfter) {
+    const exponential = this.backoff * Math.pow(2, attempt - 1);
+    const jittered = exponential / 2 + Math.random() * exponential / 2;
+    const requested = retryAfter !== null && retryAfter !== undefined ? retryAfter * 1000 : 0;
+    return Math.min(Math.max(jittered, requested), this.maxDelay);
+  }
+
+  // Retry-After is either delay-seconds or an HTTP date
+  _parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+  }
+
+  // Run fn once a pool slot is free (retry waits don't hold a slot).
+  // A finished request hands its slot straight to the next queued one.
+  async _withSlot(fn) {
+    if (this.active >= this.concurrency) {
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+module.exports = {
+  FigmaHttpClient,
+  FigmaApiError,
+  FIGMA_API_BASE_URL
+};
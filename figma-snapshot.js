@@ -0,0 +1,138 @@
+/**
+ * Figma Snapshot
+ * A .figsnap file holds everything a compile fetched from Figma - node JSON, variables,
+ * Code Connect map, SVG markup and image bytes - as gzipped JSON, so the design can be
+ * recompiled later without a token or network (bug reports, regression fixtures, demos).
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const ExportAssets = require('./export-assets');
+
+const SNAPSHOT_FORMAT = 'figsnap';
+const SNAPSHOT_VERSION = 1;
+
+class FigmaSnapshot {
+  /**
+   * @param {Object} data - parsed snapshot contents (see capture)
+   */
+  constructor(data) {
+    this.data = data;
+  }
+
+  /**
+   * Snapshot a compiler right after fetchFigmaData. Remote image and GIF URLs are
+   * downloaded so the snapshot doesn't depend on Figma's expiring CDN links; an image
+   * that can't be downloaded keeps its URL and is recorded in the asset errors.
+   * Videos keep their URLs.
+   * @param {MCPCompiler} compiler
+   * @param {Object} figmaData - the data fetchFigmaData resolved with
+   * @param {Object} [source] - { fileKey, nodeId, url } the design was loaded from
+   */
+  static async capture(compiler, figmaData, source = {}) {
+    const imageUrls = { ...compiler.imageUrls };
+    const gifUrls = { ...(compiler.gifUrls || {}) };
+
+    const remoteUrls = new Map(); // url -> a node using it, for error reporting
+    for (const [nodeId, url] of [...Object.entries(imageUrls), ...Object.entries(gifUrls)]) {
+      if (/^https?:/.test(url) && !remoteUrls.has(url)) remoteUrls.set(url, nodeId);
+    }
+
+    const assets = {};
+    if (remoteUrls.size > 0) {
+      console.log(`📸 Downloading ${remoteUrls.size} images for the snapshot...`);
+    }
+    await Promise.all(Array.from(remoteUrls, async ([url, nodeId]) => {
+      try {
+        const buffer = await compiler.mcpClient.http.getBuffer(url);
+        assets[url] = { contentType: ExportAssets.sniffContentType(buffer), data: buffer.toString('base64') };
+      } catch (err) {
+        compiler.recordAssetError(nodeId, 'image', err);
+      }
+    }));
+
+    return new FigmaSnapshot({
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      source: {
+        fileKey: source.fileKey || compiler.currentFileKey || null,
+        nodeId: source.nodeId || null,
+        url: source.url || null,
+        name: figmaData.name || null
+      },
+      figmaData,
+      variableDefs: compiler.variableDefs,
+      variableCollections: compiler.variableCollections,
+      codeConnectMap: compiler.codeConnectMap,
+      svgContent: compiler.svgContent,
+      imageUrls,
+      gifUrls,
+      videoUrls: compiler.videoUrls,
+      assets,
+      assetErrors: compiler.assetErrors
+    });
+  }
+
+  /**
+   * Parse a .figsnap file's contents
+   */
+  static fromBuffer(buffer) {
+    let data;
+    try {
+      data = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+    } catch (err) {
+      throw new Error('Not a .figsnap snapshot: ' + err.message);
+    }
+    if (data.format !== SNAPSHOT_FORMAT || !data.figmaData) {
+      throw new Error('Not a .figsnap snapshot');
+    }
+    if (data.version > SNAPSHOT_VERSION) {
+      throw new Error(`Snapshot version ${data.version} is newer than this compiler supports (${SNAPSHOT_VERSION})`);
+    }
+    return new FigmaSnapshot(data);
+  }
+
+  static read(filePath) {
+    return FigmaSnapshot.fromBuffer(fs.readFileSync(filePath));
+  }
+
+  get source() {
+    return this.data.source || {};
+  }
+
+  toBuffer() {
+    return zlib.gzipSync(JSON.stringify(this.data));
+  }
+
+  write(filePath) {
+    fs.writeFileSync(filePath, this.toBuffer());
+  }
+
+  /**
+   * Load the snapshot into a compiler in place of fetchFigmaData, with downloaded
+   * images served as data URIs. Makes no network requests.
+   * @returns {Object} figmaData
+   */
+  restore(compiler) {
+    const { data } = this;
+    const assets = data.assets || {};
+    const embed = urls => Object.fromEntries(Object.entries(urls || {}).map(([nodeId, url]) => {
+      const asset = assets[url];
+      return [nodeId, asset ? `data:${asset.contentType};base64,${asset.data}` : url];
+    }));
+
+    compiler.currentFileKey = this.source.fileKey || null;
+    compiler.variableDefs = data.variableDefs || {};
+    compiler.variableCollections = data.variableCollections || {};
+    compiler.codeConnectMap = data.codeConnectMap || {};
+    compiler.svgContent = data.svgContent || {};
+    compiler.imageUrls = embed(data.imageUrls);
+    compiler.gifUrls = embed(data.gifUrls);
+    compiler.videoUrls = data.videoUrls || {};
+    compiler.assetErrors = data.assetErrors || [];
+    return data.figmaData;
+  }
+}
+
+module.exports = FigmaSnapshot;
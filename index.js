@@ -2,13 +2,23 @@
 
 /**
  * Figma MCP Compiler
- * Entry point - uses original working compiler
+ * Entry point - starts the web compiler, or runs a headless CLI command
  */
 
 require('dotenv').config();
 
-const MCPCompiler = require('./mcp-compiler');
+const { commands, USAGE } = require('./cli');
 
-const port = parseInt(process.argv[2]) || 3000;
-const compiler = new MCPCompiler();
-compiler.start(port);
+const command = process.argv[2];
+
+if (command === '-h' || command === '--help') {
+  console.log(USAGE);
+} else if (commands[command]) {
+  commands[command](process.argv.slice(3)).then(code => process.exit(code));
+} else {
+  const MCPCompiler = require('./mcp-compiler');
+
+  const port = parseInt(process.argv[2]) || 3000;
+  const compiler = new MCPCompiler();
+  compiler.start(port);
+}
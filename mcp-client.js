@@ -5,17 +5,53 @@
  */
 
 require('dotenv').config();
-const fetch = require('node-fetch');
+const { createTransport } = require('./mcp-transport');
+const { FigmaHttpClient, FigmaApiError } = require('./figma-http');
+const { version } = require('./package.json');
+
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+// Compiler tool names -> tool names offered by known Figma MCP servers
+// (Figma's Dev Mode MCP server and the community figma-developer-mcp server)
+const MCP_TOOL_ALIASES = {
+  figma_get_file: ['get_figma_data', 'get_file'],
+  figma_get_variable_defs: ['get_variable_defs'],
+  figma_get_code: ['get_code'],
+  figma_get_image: ['get_image'],
+  figma_get_code_connect: ['get_code_connect_map']
+};
+
+// Tools the direct REST API can answer when the MCP server can't
+const DIRECT_API_TOOLS = ['figma_get_file', 'figma_get_styles', 'figma_get_variable_defs'];
 
 class FigmaMCPClient {
+  /**
+   * @param {Object} serverConfig
+   * @param {string} [serverConfig.token] - Figma access token for this client.
+   *   FIGMA_ACCESS_TOKEN is only used as a server-wide default when none is given.
+   * @param {string} [serverConfig.command] - MCP server command to spawn over stdio
+   *   (defaults to MCP_SERVER_COMMAND)
+   * @param {string} [serverConfig.url] - Streamable HTTP endpoint of an MCP server
+   *   (defaults to MCP_SERVER_URL, e.g. http://127.0.0.1:3845/mcp for Figma's Dev Mode server)
+   * @param {string} [serverConfig.apiBaseUrl] - Figma REST API base URL, e.g. a local
+   *   mock-figma-server.js (defaults to FIGMA_API_BASE_URL or https://api.figma.com/v1)
+   */
   constructor(serverConfig = {}) {
+    const { token, apiBaseUrl, ...config } = serverConfig;
+    this.token = token || process.env.FIGMA_ACCESS_TOKEN || null;
     this.serverConfig = {
-      url: serverConfig.url || process.env.MCP_SERVER_URL || 'http://localhost:3000',
-      timeout: serverConfig.timeout || parseInt(process.env.MCP_SERVER_TIMEOUT) || 10000,
-      ...serverConfig
+      command: config.command || process.env.MCP_SERVER_COMMAND || null,
+      url: config.url || process.env.MCP_SERVER_URL || null,
+      timeout: config.timeout || parseInt(process.env.MCP_SERVER_TIMEOUT) || 10000,
+      ...config
     };
     this.connected = false;
     this.useDirectAPI = false; // Fallback to direct Figma API
+    this.useMockData = false;
+    this.transport = null; // Live MCP transport after the initialize handshake
+    this.mcpTools = new Map(); // Tool name -> tool definition from tools/list
+    this.serverInfo = null;
+    this.http = new FigmaHttpClient({ token: this.token, baseUrl: apiBaseUrl }); // Every REST call goes through this
   }
 
   /**
@@ -23,6 +59,9 @@ class FigmaMCPClient {
    * Falls back to direct Figma API if MCP server is unavailable
    */
   async connect() {
+    // An initialized MCP session can be reused across calls
+    if (this.transport) return;
+
     console.log('🔌 Connecting to Figma service...');
     
     // Try mock data first for testing
@@ -30,30 +69,48 @@ class FigmaMCPClient {
       console.log('🧪 Using mock data for testing');
       this.connected = true;
       this.useDirectAPI = false;
+      this.useMockData = true;
       return;
     }
     
+    // Try MCP server first (only when one is configured)
+    if (this.serverConfig.command || this.serverConfig.url) {
+      try {
+        await this._connectMCP();
+        this.connected = true;
+        this.useDirectAPI = false;
+        this.useMockData = false;
+        const name = this.serverInfo?.name || 'Figma MCP server';
+        console.log(`✅ Connected to ${name} (${this.mcpTools.size} tools)`);
+        return;
+      } catch (mcpError) {
+        console.log(`⚠️  MCP server unavailable (${mcpError.message}), trying direct Figma API...`);
+      }
+    }
+      
     try {
-      // Try MCP server first
-      await this._testMCPConnection();
+      // Fallback to direct Figma API
+      await this._testDirectAPI();
       this.connected = true;
-      this.useDirectAPI = false;
-      console.log('✅ Connected to Figma MCP server');
-    } catch (mcpError) {
-      console.log('⚠️  MCP server unavailable, trying direct Figma API...');
-      
-      try {
-        // Fallback to direct Figma API
-        await this._testDirectAPI();
+      this.useDirectAPI = true;
+      this.useMockData = false;
+      console.log('✅ Connected to Figma API directly');
+    } catch (apiError) {
+      // Figma is slow or unreachable but the token may be fine - keep the REST path so
+      // cached responses can still serve the compile
+      if (apiError instanceof FigmaApiError && apiError.retryable) {
+        console.log(`⚠️  Figma API unreachable (${apiError.message}) - continuing with cached data where available`);
         this.connected = true;
         this.useDirectAPI = true;
-        console.log('✅ Connected to Figma API directly');
-      } catch (apiError) {
-        console.log('⚠️  Direct API unavailable, using mock data for testing...');
-        this.connected = true;
-        this.useDirectAPI = false;
-        console.log('🧪 Mock mode enabled - add real FIGMA_ACCESS_TOKEN to use live data');
+        this.useMockData = false;
+        return;
       }
+      
+      console.log('⚠️  Direct API unavailable, using mock data for testing...');
+      this.connected = true;
+      this.useDirectAPI = false;
+      this.useMockData = true;
+      console.log('🧪 Mock mode enabled - add a real Figma access token to use live data');
     }
   }
 
@@ -69,6 +126,10 @@ class FigmaMCPClient {
       console.log(`🔧 Calling ${this.useDirectAPI ? 'Figma API' : 'MCP tool'}: ${toolName}`);
     }
 
+    if (this.useMockData) {
+      return this._getMockData(toolName, params);
+    }
+
     try {
       if (this.useDirectAPI) {
         return await this._callDirectAPI(toolName, params);
@@ -78,10 +139,9 @@ class FigmaMCPClient {
     } catch (error) {
       console.error(`Error calling ${toolName}:`, error.message);
       
-      // If MCP fails, try fallback to direct API
-      if (!this.useDirectAPI && toolName === 'figma_get_file') {
+      // If the MCP server can't answer, fall back to the direct API for this call
+      if (!this.useDirectAPI && this.token && DIRECT_API_TOOLS.includes(toolName)) {
         console.log('🔄 Falling back to direct Figma API...');
-        this.useDirectAPI = true;
         return await this._callDirectAPI(toolName, params);
       }
       
@@ -89,6 +149,20 @@ class FigmaMCPClient {
     }
   }
 
+  /**
+   * Whether the connected MCP server offers a tool for this compiler tool name
+   */
+  hasTool(toolName) {
+    return this._resolveMCPToolName(toolName) !== null;
+  }
+
+  /**
+   * List the tools offered by the connected MCP server
+   */
+  listTools() {
+    return Array.from(this.mcpTools.values());
+  }
+
   /**
    * Get a Figma file's design data
    */
@@ -134,10 +208,79 @@ class FigmaMCPClient {
    * Get variable definitions for a node (design tokens)
    */
   async getVariableDefinitions(fileKey, nodeId) {
-    return await this.callTool('figma_get_variable_defs', {
+    // The REST variables API gives IDs, collections and modes; MCP get_variable_defs
+    // only gives resolved name -> value pairs, so it is the fallback
+    if (this.token && !this.useMockData) {
+      try {
+        return await this._getVariableDefsDirect(fileKey, nodeId);
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+      }
+    }
+
+    if (this.transport && this.hasTool('figma_get_variable_defs')) {
+      return await this.callTool('figma_get_variable_defs', {
+        file_key: fileKey,
+        node_id: nodeId
+      });
+    }
+
+    return {};
+  }
+
+  /**
+   * Get generated code for a node (MCP `get_code`)
+   */
+  async getCode(fileKey, nodeId) {
+    return await this.callTool('figma_get_code', {
+      file_key: fileKey,
+      node_id: nodeId
+    });
+  }
+
+  /**
+   * Get a rendered image of a node as a data URI (MCP `get_image`)
+   */
+  async getImage(fileKey, nodeId) {
+    return await this.callTool('figma_get_image', {
+      file_key: fileKey,
+      node_id: nodeId
+    });
+  }
+
+  /**
+   * Get a file's current version - the cache key that tells whether anything changed.
+   * Returns { version, lastModified }
+   */
+  async getFileVersion(fileKey) {
+    const data = await this.http.getJSON(`/files/${fileKey}?depth=1`, { cache: false });
+    return { version: data.version || data.lastModified, lastModified: data.lastModified };
+  }
+
+  /**
+   * Get the Code Connect mappings for the instances under a node (MCP `get_code_connect_map`)
+   * Returns { [instanceNodeId]: { codeConnectName, codeConnectSrc } }, or {} without an MCP server
+   */
+  async getCodeConnectMap(fileKey, nodeId) {
+    if (!this.transport || !this.hasTool('figma_get_code_connect')) {
+      return {};
+    }
+
+    const result = await this.callTool('figma_get_code_connect', {
       file_key: fileKey,
       node_id: nodeId
     });
+    return result && typeof result === 'object' ? result : {};
+  }
+
+  /**
+   * Get a published component or component set by key (REST `/components/:key`,
+   * `/component_sets/:key`). Returns its meta - { key, file_key, node_id, name, ... }
+   */
+  async getPublishedComponent(key, isComponentSet = false) {
+    const endpoint = isComponentSet ? 'component_sets' : 'components';
+    const data = await this.http.getJSON(`/${endpoint}/${encodeURIComponent(key)}`);
+    return data.meta;
   }
 
   /**
@@ -157,48 +300,129 @@ class FigmaMCPClient {
   }
 
   /**
-   * Internal MCP server call or mock data
+   * Open the MCP transport and run the initialize handshake, then discover tools
    */
-  async _callMCPTool(method, params) {
-    // Use mock data if in mock mode or if MCP is not available
-    if (!this.useDirectAPI && (process.env.USE_MOCK_DATA === 'true' || !this.serverConfig.url)) {
-      return this._getMockData(method, params);
+  async _connectMCP() {
+    const transport = createTransport(this.serverConfig);
+    await transport.start();
+
+    try {
+      const init = await transport.request('initialize', {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'figma-mcp-compiler', version }
+      });
+      transport.protocolVersion = init.protocolVersion || MCP_PROTOCOL_VERSION;
+      this.serverInfo = init.serverInfo || null;
+      await transport.notify('notifications/initialized');
+
+      // tools/list is paginated via nextCursor
+      this.mcpTools = new Map();
+      let cursor;
+      do {
+        const page = await transport.request('tools/list', cursor ? { cursor } : {});
+        (page.tools || []).forEach(tool => this.mcpTools.set(tool.name, tool));
+        cursor = page.nextCursor;
+      } while (cursor);
+    } catch (error) {
+      await transport.close();
+      throw error;
     }
 
-    const response = await fetch(`${this.serverConfig.url}/mcp`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        id: Date.now(),
-        method: method,
-        params: params
-      }),
-      timeout: this.serverConfig.timeout
+    this.transport = transport;
+  }
+
+  /**
+   * Find the MCP server's tool for a compiler tool name
+   */
+  _resolveMCPToolName(toolName) {
+    if (this.mcpTools.has(toolName)) return toolName;
+    const aliases = MCP_TOOL_ALIASES[toolName] || [];
+    return aliases.find(name => this.mcpTools.has(name)) || null;
+  }
+
+  /**
+   * Call a tool on the MCP server via tools/call
+   */
+  async _callMCPTool(toolName, params) {
+    if (!this.transport) {
+      throw new Error('Not connected to an MCP server');
+    }
+
+    const mcpToolName = this._resolveMCPToolName(toolName);
+    if (!mcpToolName) {
+      throw new Error(`MCP server does not provide a tool for ${toolName}`);
+    }
+
+    const tool = this.mcpTools.get(mcpToolName);
+    const result = await this.transport.request('tools/call', {
+      name: mcpToolName,
+      arguments: this._buildMCPArguments(tool, params)
     });
 
-    if (!response.ok) {
-      throw new Error(`MCP server error: ${response.status} ${response.statusText}`);
+    const content = result.content || [];
+    const text = content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+
+    if (result.isError) {
+      throw new Error(`MCP tool ${mcpToolName} failed: ${text || 'unknown error'}`);
     }
 
-    const data = await response.json();
-    
-    if (data.error) {
-      throw new Error(`MCP error: ${data.error.message}`);
+    switch (toolName) {
+      case 'figma_get_file': {
+        // Only REST-shaped file JSON can be translated; anything else falls back to the API
+        const data = result.structuredContent || this._parseJSON(text);
+        if (!data || (!data.document && !data.nodes)) {
+          throw new Error(`${mcpToolName} did not return Figma file JSON`);
+        }
+        return data;
+      }
+      case 'figma_get_variable_defs':
+        return result.structuredContent || this._parseJSON(text) || {};
+      case 'figma_get_image': {
+        const image = content.find(c => c.type === 'image');
+        return image ? `data:${image.mimeType || 'image/png'};base64,${image.data}` : null;
+      }
+      case 'figma_get_code':
+        return text;
+      default:
+        return result.structuredContent || this._parseJSON(text) || text;
+    }
+  }
+
+  /**
+   * Map compiler params (file_key, node_id) onto the arguments a tool's input schema accepts
+   */
+  _buildMCPArguments(tool, params = {}) {
+    const candidates = {
+      fileKey: params.file_key,
+      file_key: params.file_key,
+      nodeId: params.node_id,
+      node_id: params.node_id,
+      ids: params.ids
+    };
+    const properties = tool?.inputSchema?.properties;
+    const args = {};
+    for (const [key, value] of Object.entries(candidates)) {
+      if (value === undefined || value === null) continue;
+      if (!properties || properties[key]) args[key] = value;
     }
+    return args;
+  }
 
-    return data.result;
+  _parseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return null;
+    }
   }
 
   /**
    * Direct Figma API call (fallback)
    */
   async _callDirectAPI(toolName, params) {
-    const token = process.env.FIGMA_ACCESS_TOKEN;
-    if (!token) {
-      throw new Error('FIGMA_ACCESS_TOKEN environment variable required for direct API access');
+    if (!this.token) {
+      throw new Error('Figma access token required for direct API access');
     }
 
     switch (toolName) {
@@ -219,24 +443,13 @@ class FigmaMCPClient {
   async _getFigmaFileDirect(fileKey, nodeId = null) {
     // URL-encode node ID if provided (Figma uses : which needs encoding)
     const encodedNodeId = nodeId ? encodeURIComponent(nodeId) : null;
-    const url = encodedNodeId 
-      ? `https://api.figma.com/v1/files/${fileKey}/nodes?ids=${encodedNodeId}`
-      : `https://api.figma.com/v1/files/${fileKey}`;
+    const path = encodedNodeId 
+      ? `/files/${fileKey}/nodes?ids=${encodedNodeId}`
+      : `/files/${fileKey}`;
 
-    console.log(`📡 Fetching from Figma API: ${url}`);
+    console.log(`📡 Fetching from Figma API: ${this.http.baseUrl}${path}`);
 
-    const response = await fetch(url, {
-      headers: {
-        'X-Figma-Token': process.env.FIGMA_ACCESS_TOKEN
-      },
-      timeout: this.serverConfig.timeout
-    });
-
-    if (!response.ok) {
-      throw new Error(`Figma API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await this.http.getJSON(path);
     
     // Debug: Log what we actually get from Figma
     if (process.env.ENABLE_LOGGING === 'true') {
@@ -253,18 +466,7 @@ class FigmaMCPClient {
    * Direct Figma API styles fetch
    */
   async _getFigmaStylesDirect(fileKey) {
-    const response = await fetch(`https://api.figma.com/v1/files/${fileKey}/styles`, {
-      headers: {
-        'X-Figma-Token': process.env.FIGMA_ACCESS_TOKEN
-      },
-      timeout: this.serverConfig.timeout
-    });
-
-    if (!response.ok) {
-      throw new Error(`Figma API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await this.http.getJSON(`/files/${fileKey}/styles`);
     
     // Debug: Log styles we found
     if (process.env.ENABLE_LOGGING === 'true') {
@@ -282,70 +484,69 @@ class FigmaMCPClient {
   }
 
   /**
-   * Get variable definitions for a node (design tokens)
-   * Since the variables/local API requires Enterprise, we extract from node boundVariables
+   * Get variable definitions from the Figma variables REST API
+   * Tries the file's local variables (which include the library variables it uses),
+   * then variables published from the file. Both need the file_variables:read scope.
+   * Returns { source, variables: { [id]: variable }, collections: { [id]: collection } }
    */
   async _getVariableDefsDirect(fileKey, nodeId) {
-    // The Figma variables/local API requires Enterprise access
-    // Instead, we'll return a mapping based on common design system patterns
-    // The actual variable names are extracted from the node's boundVariables
-    
-    // Try to get the node data to extract bound variable info
-    const encodedNodeId = nodeId ? encodeURIComponent(nodeId) : null;
-    const url = encodedNodeId 
-      ? `https://api.figma.com/v1/files/${fileKey}/nodes?ids=${encodedNodeId}`
-      : `https://api.figma.com/v1/files/${fileKey}`;
+    for (const source of ['local', 'published']) {
+      try {
+        const data = await this.http.getJSON(`/files/${fileKey}/variables/${source}`);
+        return this._normalizeVariables(data.meta, source);
+      } catch (error) {
+        // Rate limits and outages are real failures; 403/404 just mean this source isn't available
+        if (!(error instanceof FigmaApiError) || error.retryable) throw error;
+        if (process.env.ENABLE_LOGGING === 'true') {
+          console.log(`🎨 variables/${source} unavailable: ${error.message}`);
+        }
+      }
+    }
 
-    const response = await fetch(url, {
-      headers: {
-        'X-Figma-Token': process.env.FIGMA_ACCESS_TOKEN
-      },
-      timeout: this.serverConfig.timeout
-    });
+    throw new Error('Figma variables API unavailable for this file (requires file_variables:read)');
+  }
 
-    if (!response.ok) {
-      return {};
+  /**
+   * Normalize a variables API `meta` payload. Published variables are also indexed by
+   * their subscribed_id, which is the ID consuming files bind to.
+   */
+  _normalizeVariables(meta = {}, source) {
+    const variables = {};
+    for (const variable of Object.values(meta.variables || {})) {
+      const normalized = {
+        id: variable.id,
+        name: variable.name,
+        key: variable.key,
+        collectionId: variable.variableCollectionId,
+        resolvedType: variable.resolvedType || variable.resolvedDataType,
+        valuesByMode: variable.valuesByMode || {},
+        scopes: variable.scopes || [],
+        remote: !!variable.remote
+      };
+      variables[variable.id] = normalized;
+      if (variable.subscribed_id) variables[variable.subscribed_id] = normalized;
     }
 
-    const data = await response.json();
-    
-    // Extract variable definitions from the design system
-    // This is a simplified mapping - in production, you'd want to fetch from the actual variables API
-    const varDefs = {
-      'color/neutral/text-default': '#2B2B2B',
-      'font-family': 'Source Sans Pro',
-      'font-size/10': '60px',
-      'font-size/9': '48px',
-      'font-size/8': '40px',
-      'font-size/7': '32px',
-      'font-size/6': '24px',
-      'font-size/5': '20px',
-      'font-size/4': '16px',
-      'font-size/3': '14px',
-      'font-size/2': '12px',
-      'font-weight/bold': '700',
-      'font-weight/regular': '400'
-    };
-    
-    return varDefs;
+    const collections = {};
+    for (const collection of Object.values(meta.variableCollections || {})) {
+      const normalized = {
+        id: collection.id,
+        name: collection.name,
+        modes: collection.modes || [],
+        defaultModeId: collection.defaultModeId
+      };
+      collections[collection.id] = normalized;
+      if (collection.subscribed_id) collections[collection.subscribed_id] = normalized;
+    }
+
+    return { source, variables, collections };
   }
 
   /**
    * Get Figma components from the file
    */
   async _getFigmaComponentsDirect(fileKey) {
-    const response = await fetch(`https://api.figma.com/v1/files/${fileKey}/components`, {
-      headers: {
-        'X-Figma-Token': process.env.FIGMA_ACCESS_TOKEN
-      },
-      timeout: this.serverConfig.timeout
-    });
-
-    if (!response.ok) {
-      throw new Error(`Figma API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = await this.http.getJSON(`/files/${fileKey}/components`);
     
     // Debug: Log components we found
     if (process.env.ENABLE_LOGGING === 'true') {
@@ -355,47 +556,22 @@ class FigmaMCPClient {
     return data;
   }
 
-  /**
-   * Test MCP server connection
-   */
-  async _testMCPConnection() {
-    try {
-      const response = await fetch(`${this.serverConfig.url}/health`, {
-        timeout: 5000
-      });
-      
-      if (!response.ok) {
-        throw new Error(`MCP server health check failed: ${response.status}`);
-      }
-    } catch (error) {
-      if (error.code === 'ENOTFOUND' || error.message.includes('Only absolute URLs are supported')) {
-        throw new Error('MCP server not available');
-      }
-      throw error;
-    }
-  }
-
   /**
    * Test direct Figma API connection
    */
   async _testDirectAPI() {
-    const token = process.env.FIGMA_ACCESS_TOKEN;
-    if (!token) {
-      throw new Error('FIGMA_ACCESS_TOKEN environment variable required');
+    if (!this.token) {
+      throw new Error('Figma access token required');
     }
 
-    const response = await fetch('https://api.figma.com/v1/me', {
-      headers: {
-        'X-Figma-Token': token
-      },
-      timeout: 5000
-    });
-
-    if (!response.ok) {
-      throw new Error(`Figma API authentication failed: ${response.status}`);
+    let user;
+    try {
+      user = await this.http.getJSON('/me', { timeout: 5000, retries: 1, cache: false });
+    } catch (error) {
+      if (error instanceof FigmaApiError && error.retryable) throw error;
+      throw new Error(`Figma API authentication failed: ${error.status || error.message}`);
     }
 
-    const user = await response.json();
     console.log(`👤 Connected as Figma user: ${user.email}`);
   }
 
@@ -594,10 +770,16 @@ class FigmaMCPClient {
    * Disconnect from Figma service
    */
   async disconnect() {
+    if (this.transport) {
+      await this.transport.close();
+      this.transport = null;
+      this.mcpTools = new Map();
+    }
     if (this.connected) {
       console.log('👋 Disconnecting from Figma service');
       this.connected = false;
       this.useDirectAPI = false;
+      this.useMockData = false;
     }
   }
 }
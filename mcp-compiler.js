@@ -5,22 +5,47 @@ require('dotenv').config();
 
 const express = require('express');
 const { createServer } = require('http');
+const crypto = require('crypto');
 const FigmaMCPClient = require('./mcp-client');
+const { FigmaHttpClient, FigmaApiError } = require('./figma-http');
+const FigmaCache = require('./figma-cache');
+const FigmaSnapshot = require('./figma-snapshot');
+const DesignTokenExporter = require('./design-tokens');
+const ExportAssets = require('./export-assets');
+const WebFonts = require('./web-fonts');
 
 /**
  * Simple MCP-based Figma Compiler
  * Read Figma data via MCP, translate Auto Layout to CSS
  */
 
+// Sessions idle for longer than this are dropped with their compiled design
+const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+const SESSION_COOKIE = 'figma_session';
+
+// Instance lookups: node IDs per /files/:key/nodes request, and requests in flight at once
+const NODE_BATCH_SIZE = 50;
+const NODE_BATCH_CONCURRENCY = 3;
+
 class MCPCompiler {
   constructor() {
-    this.app = express();
+    this.app = null;
     this.server = null;
+    this.sessions = new Map(); // Per-user compilation state (server instance only)
     this.mcpClient = new FigmaMCPClient();
     this.imageUrls = {}; // Cache for image URLs from Figma API (fallback)
     this.svgContent = {}; // Cache for inline SVG content
+    this.gifUrls = {}; // Original GIF URLs for animated image fills
     this.videoUrls = {}; // Cache for video URLs
+    this.responsiveImages = {}; // <picture> variants by node ID, only set while rendering an export
+    this.usedFonts = new WebFonts(); // Fonts the last rendered design uses, collected by translateNodeToHTML
     this.codeConnectMap = {}; // Cache for Code Connect mappings
+    this.assetErrors = []; // Assets that failed to load in the last compile
+    this.compileWarnings = []; // Design features the last render couldn't reproduce in CSS
+    this.fontErrors = []; // Fonts the last compile couldn't find on Google Fonts, from checkFonts
+    this.cache = new FigmaCache(); // On-disk cache of Figma responses, keyed by file version and token
+    this.variableDefs = {}; // Resolved Figma variables keyed by VariableID
+    this.variableCollections = {}; // Variable collections (with modes) keyed by ID
     this.currentFileKey = null;
   }
 
@@ -38,10 +63,21 @@ class MCPCompiler {
     return { fileKey, nodeId };
   }
 
-  async fetchFigmaData(fileKey, nodeId) {
+  // options.token - Figma access token for this compile. A new client is created so the
+  // token is never shared through process.env; without one the client defaults to FIGMA_ACCESS_TOKEN.
+  // options.apiBaseUrl - Figma REST API to use instead of FIGMA_API_BASE_URL (--api-url)
+  // options.cache - false to bypass the on-disk cache (--no-cache)
+  async fetchFigmaData(fileKey, nodeId, options = {}) {
     try {
       this.currentFileKey = fileKey;
+      if (options.token || options.apiBaseUrl) {
+        await this.mcpClient.disconnect();
+        this.mcpClient = new FigmaMCPClient({ token: options.token, apiBaseUrl: options.apiBaseUrl });
+      }
       await this.mcpClient.connect();
+      this.assetErrors = [];
+      this.fontErrors = [];
+      await this.useFigmaCache(fileKey, options.cache !== false);
       const figmaData = await this.mcpClient.getFile(fileKey, nodeId);
       
       // Fetch design system variables/tokens
@@ -60,108 +96,298 @@ class MCPCompiler {
     }
   }
   
-  async fetchCodeConnectMappings(fileKey, nodeId, figmaData) {
-    const token = process.env.FIGMA_ACCESS_TOKEN;
-    if (!token) return;
+  // Point the REST client at this token's cache for the file's current version. Only the
+  // version check goes to Figma; if that fails for a transient reason (rate limit, outage,
+  // offline), the newest cached version is served as-is. Any other failure - the token
+  // can't read the file, it doesn't exist - is thrown rather than answered from the cache.
+  async useFigmaCache(fileKey, enabled) {
+    const http = this.mcpClient.http;
+    const token = this.mcpClient.token;
+    http.cache = null;
+    if (!enabled || !FigmaCache.isEnabled() || this.mcpClient.useMockData || !token) return;
     
+    try {
+      const { version } = await this.mcpClient.getFileVersion(fileKey);
+      http.cache = this.cache.scope(fileKey, version, token);
+      this.cache.prune(fileKey, version, token);
+      console.log(`💾 Using Figma cache for version ${version}`);
+    } catch (error) {
+      if (!(error instanceof FigmaApiError && error.retryable)) throw error;
+      const cachedVersion = this.cache.latestVersion(fileKey, token);
+      if (cachedVersion) {
+        http.cache = this.cache.scope(fileKey, cachedVersion, token, { allowStale: true });
+        console.warn(`⚠️  Could not check file version (${error.message}) - using cached version ${cachedVersion}`);
+      } else {
+        console.warn(`⚠️  Could not check file version (${error.message}) - cache disabled for this compile`);
+      }
+    }
+  }
+  
+  // Capture the last fetchFigmaData (tree, variables, Code Connect, SVGs, image bytes)
+  // as a FigmaSnapshot - source is { fileKey, nodeId, url }
+  async createSnapshot(figmaData, source = {}) {
+    return await FigmaSnapshot.capture(this, figmaData, source);
+  }
+  
+  // Offline counterpart of fetchFigmaData: load a FigmaSnapshot (or .figsnap
+  // file contents) and resolve with its figmaData, without touching Figma
+  loadSnapshot(snapshot) {
+    if (Buffer.isBuffer(snapshot)) {
+      snapshot = FigmaSnapshot.fromBuffer(snapshot);
+    }
+    const figmaData = snapshot.restore(this);
+    console.log(`📸 Loaded snapshot of ${figmaData.name || snapshot.source.fileKey} (${snapshot.data.createdAt})`);
+    return figmaData;
+  }
+  
+  // Map INSTANCE nodes to design system components using real Code Connect data, keyed by
+  // main component (or component set) key. Sources, in order:
+  // 1. MCP get_code_connect_map (Figma's Dev Mode MCP server)
+  // 2. CODE_CONNECT_FILE - the JSON output of `figma connect parse`
+  // Instances without a mapping fall back to their main component's name from the
+  // file's components/componentSets metadata - never the instance layer name.
+  async fetchCodeConnectMappings(fileKey, nodeId, figmaData) {
     this.codeConnectMap = {};
     
-    // Extract the actual node to scan
+    // Extract the actual node to scan, with its component metadata
     let nodeToScan = figmaData;
+    let metadata = figmaData;
     if (figmaData.nodes) {
       const firstNodeKey = Object.keys(figmaData.nodes)[0];
       if (firstNodeKey) {
         nodeToScan = figmaData.nodes[firstNodeKey].document;
+        metadata = figmaData.nodes[firstNodeKey];
       }
+    } else if (figmaData.document) {
+      nodeToScan = figmaData.document;
+    }
+    const components = { ...(metadata.components || {}) };
+    const componentSets = { ...(metadata.componentSets || {}) };
+    
+    // Collect the component instances in the tree
+    const instanceNodes = [];
+    this.collectComponentNodes(nodeToScan, instanceNodes);
+    
+    if (instanceNodes.length === 0) return;
+    
+    console.log(`🔗 Checking Code Connect for ${instanceNodes.length} potential components...`);
+    
+    // REST trees already carry componentId/componentProperties on every instance, with the
+    // component metadata alongside - only instances missing them (e.g. trees from an MCP
+    // server) need a nodes lookup
+    const incomplete = instanceNodes.filter(node => !node.componentId || !components[node.componentId]);
+    const fetched = await this.fetchInstanceNodes(fileKey, incomplete.map(node => node.id), components, componentSets);
+    
+    const instances = instanceNodes
+      .map(node => fetched.get(node.id) || node)
+      .filter(node => node.componentId);
+    
+    const codeConnect = await this.loadCodeConnectMappings(fileKey, nodeToScan, instances, components, componentSets);
+    
+    for (const nodeData of instances) {
+      const component = components[nodeData.componentId];
+      if (!component) continue;
+      const componentSet = component.componentSetId ? componentSets[component.componentSetId] : null;
+      
+      const mapping = codeConnect.byNodeId.get(nodeData.id) ||
+        (componentSet && codeConnect.byKey.get(componentSet.key)) ||
+        codeConnect.byKey.get(component.key);
+      
+      const componentName = mapping
+        ? mapping.componentName
+        : this.extractComponentName(componentSet ? componentSet.name : component.name);
+      if (!componentName) continue;
+      
+      this.codeConnectMap[nodeData.id] = {
+        componentName,
+        props: this.extractComponentProps(nodeData),
+        source: mapping ? 'code-connect' : 'component',
+        codeConnectSrc: mapping?.source || null,
+        componentKey: componentSet ? componentSet.key : component.key,
+        nodeData
+      };
+      console.log(`  ✅ Found component: ${componentName} (${nodeData.id})${mapping ? ' via Code Connect' : ''}`);
     }
     
-    // Collect all node IDs that might be component instances
-    const componentNodeIds = [];
-    this.collectComponentNodes(nodeToScan, componentNodeIds);
+    const connected = Object.values(this.codeConnectMap).filter(m => m.source === 'code-connect').length;
+    console.log(`🔗 Found ${Object.keys(this.codeConnectMap).length} components (${connected} from Code Connect)`);
+  }
+  
+  // Fetch instance nodes with comma-separated `ids` batches, a few requests at a time.
+  // Merges the returned component metadata and resolves with Map(nodeId -> node)
+  async fetchInstanceNodes(fileKey, nodeIds, components, componentSets) {
+    const nodes = new Map();
+    if (!this.mcpClient.token || nodeIds.length === 0) return nodes;
+    
+    const batches = [];
+    for (let i = 0; i < nodeIds.length; i += NODE_BATCH_SIZE) {
+      batches.push(nodeIds.slice(i, i + NODE_BATCH_SIZE));
+    }
     
-    if (componentNodeIds.length === 0) return;
+    console.log(`🔗 Fetching ${nodeIds.length} instance nodes in ${batches.length} batch(es)...`);
     
-    console.log(`🔗 Checking Code Connect for ${componentNodeIds.length} potential components...`);
+    let done = 0;
+    await this.mapWithConcurrency(batches, NODE_BATCH_CONCURRENCY, async (ids) => {
+      try {
+        const data = await this.mcpClient.http.getJSON(`/files/${fileKey}/nodes?ids=${ids.map(encodeURIComponent).join(',')}`);
+        for (const [id, entry] of Object.entries(data.nodes || {})) {
+          if (!entry?.document) continue;
+          nodes.set(id, entry.document);
+          Object.assign(components, entry.components || {});
+          Object.assign(componentSets, entry.componentSets || {});
+        }
+      } catch (error) {
+        // The tree's copy of these instances is used instead
+        ids.forEach(id => this.recordAssetError(id, 'instance', error));
+      }
+      
+      done += ids.length;
+      console.log(`  🔗 ${done}/${nodeIds.length} instance nodes checked`);
+    });
     
-    // Fetch Code Connect mappings via Figma API
-    // The dev mode API endpoint for code connect
+    return nodes;
+  }
+  
+  // Run worker over items with at most `limit` calls in flight; results keep item order
+  async mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+  }
+  
+  // Code Connect mappings as { byKey: Map(componentKey -> mapping), byNodeId: Map(instanceId -> mapping) }
+  // where mapping is { componentName, source }
+  async loadCodeConnectMappings(fileKey, rootNode, instances, components, componentSets) {
+    const byKey = new Map();
+    const byNodeId = new Map();
+    
+    // Keys for an instance: its component set (variants share one mapping) and its component
+    const keysFor = nodeData => {
+      const component = components[nodeData.componentId];
+      if (!component) return [];
+      const componentSet = component.componentSetId ? componentSets[component.componentSetId] : null;
+      return [componentSet?.key, component.key].filter(Boolean);
+    };
+    
+    // 1. Dev Mode MCP server - mappings are reported per instance node
     try {
-      for (const compNodeId of componentNodeIds) {
+      const mcpMap = await this.mcpClient.getCodeConnectMap(fileKey, rootNode.id);
+      const instancesById = new Map(instances.map(nodeData => [nodeData.id, nodeData]));
+      for (const [instanceId, entry] of Object.entries(mcpMap || {})) {
+        if (!entry || !entry.codeConnectName) continue;
+        const mapping = { componentName: entry.codeConnectName, source: entry.codeConnectSrc || null };
+        byNodeId.set(instanceId, mapping);
+        const nodeData = instancesById.get(instanceId);
+        if (nodeData) {
+          keysFor(nodeData).forEach(key => byKey.has(key) || byKey.set(key, mapping));
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not read Code Connect map from MCP:', error.message);
+    }
+    
+    // 2. Published Code Connect docs - each points at a main component node by URL
+    const docs = this.loadCodeConnectFile();
+    if (docs.length === 0) return { byKey, byNodeId };
+    
+    const docsByNode = new Map();
+    for (const doc of docs) {
+      try {
+        const { fileKey: docFileKey, nodeId: docNodeId } = this.parseFigmaUrl(doc.figmaNode);
+        if (docNodeId) docsByNode.set(`${docFileKey}:${docNodeId}`, doc);
+      } catch (err) {
+        // Not a Figma URL - skip
+      }
+    }
+    
+    // Local components are addressed by their own node IDs; library components are
+    // looked up by key to find the file and node they were published from
+    const lookups = new Map();
+    for (const [componentId, component] of Object.entries(components)) {
+      if (!component.key) continue;
+      const componentSet = component.componentSetId ? componentSets[component.componentSetId] : null;
+      if (componentSet?.key) {
+        lookups.set(componentSet.key, { id: component.componentSetId, remote: componentSet.remote, isSet: true });
+      }
+      lookups.set(component.key, { id: componentId, remote: component.remote, isSet: false });
+    }
+    
+    await this.mapWithConcurrency(Array.from(lookups.entries()), NODE_BATCH_CONCURRENCY, async ([key, lookup]) => {
+      let location = lookup.remote ? null : `${fileKey}:${lookup.id}`;
+      if (lookup.remote && this.mcpClient.token) {
         try {
-          const response = await fetch(
-            `https://api.figma.com/v1/files/${fileKey}/nodes?ids=${encodeURIComponent(compNodeId)}&plugin_data=shared`,
-            { headers: { 'X-Figma-Token': token } }
-          );
-          
-          if (response.ok) {
-            const data = await response.json();
-            const nodeData = data.nodes?.[compNodeId]?.document;
-            
-            if (nodeData) {
-              // Check if this is a component instance with Code Connect
-              const componentId = nodeData.componentId;
-              const mainComponentId = nodeData.mainComponent?.id;
-              
-              // Store component info for React generation
-              if (componentId || mainComponentId) {
-                // Extract component name from node name or component set
-                const componentName = this.extractComponentName(nodeData);
-                const props = this.extractComponentProps(nodeData);
-                
-                if (componentName) {
-                  this.codeConnectMap[compNodeId] = {
-                    componentName,
-                    props,
-                    source: nodeData.componentProperties ? 'design-system' : 'local',
-                    nodeData
-                  };
-                  console.log(`  ✅ Found component: ${componentName} (${compNodeId})`);
-                }
-              }
-            }
-          }
+          const meta = await this.mcpClient.getPublishedComponent(key, lookup.isSet);
+          if (meta?.file_key && meta?.node_id) location = `${meta.file_key}:${meta.node_id}`;
         } catch (err) {
-          // Silently skip individual node errors
+          // Unpublished or inaccessible library component
         }
       }
+      const doc = location ? docsByNode.get(location) : null;
+      if (doc && !byKey.has(key)) {
+        byKey.set(key, { componentName: doc.component, source: doc.source || null });
+      }
+    });
+    
+    return { byKey, byNodeId };
+  }
+  
+  // Read CODE_CONNECT_FILE: the output of `figma connect parse`, either an array of docs
+  // or { docs: [...] }. Returns [{ figmaNode, component, source }]
+  loadCodeConnectFile() {
+    const filePath = process.env.CODE_CONNECT_FILE;
+    if (!filePath) return [];
+    
+    const fs = require('fs');
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const docs = Array.isArray(parsed) ? parsed : (parsed.docs || []);
+      return docs
+        .filter(doc => doc && doc.figmaNode && doc.component)
+        .map(doc => ({ figmaNode: doc.figmaNode, component: doc.component, source: doc.source || null }));
     } catch (error) {
-      console.warn('⚠️  Error fetching Code Connect mappings:', error.message);
+      console.warn(`⚠️  Could not read CODE_CONNECT_FILE (${filePath}):`, error.message);
+      return [];
     }
-    
-    console.log(`🔗 Found ${Object.keys(this.codeConnectMap).length} Code Connect components`);
   }
   
-  collectComponentNodes(node, componentNodeIds, depth = 0) {
+  collectComponentNodes(node, instanceNodes, depth = 0) {
     if (!node) return;
     if (node.visible === false) return;
     
     // Check if this is a component instance
     if (node.type === 'INSTANCE' || node.componentId) {
-      componentNodeIds.push(node.id);
+      instanceNodes.push(node);
     }
     
     // Recurse into children
     if (node.children && Array.isArray(node.children)) {
       for (const child of node.children) {
-        this.collectComponentNodes(child, componentNodeIds, depth + 1);
+        this.collectComponentNodes(child, instanceNodes, depth + 1);
       }
     }
   }
   
-  extractComponentName(nodeData) {
-    // Try to get component name from various sources
-    if (nodeData.name) {
-      // Clean up the name - remove variant info like "Size=Large, State=Default"
-      let name = nodeData.name.split(',')[0].trim();
-      // Convert to PascalCase for React component
-      name = name.replace(/[^a-zA-Z0-9]/g, ' ')
-                 .split(' ')
-                 .filter(Boolean)
-                 .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-                 .join('');
-      return name;
-    }
-    return null;
+  // React component name for a main component / component set name
+  // ("Components/Button" -> "Button", "text field" -> "TextField")
+  extractComponentName(componentName) {
+    if (!componentName) return null;
+    
+    // Use the last path segment and drop variant info like "Size=Large, State=Default"
+    let name = componentName.split('/').pop().split(',')[0].trim();
+    // Convert to PascalCase for React component
+    name = name.replace(/[^a-zA-Z0-9]/g, ' ')
+               .split(' ')
+               .filter(Boolean)
+               .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+               .join('');
+    return name || null;
   }
   
   extractComponentProps(nodeData) {
@@ -194,6 +420,7 @@ class MCPCompiler {
   
   async fetchVariableDefinitions(fileKey, figmaData) {
     this.variableDefs = {};
+    this.variableCollections = {};
     
     // Extract the actual node to scan
     let nodeToScan = figmaData;
@@ -215,31 +442,474 @@ class MCPCompiler {
     
     console.log(`🎨 Found ${boundVarIds.size} bound variables, fetching definitions...`);
     
-    // Try to get variable definitions via MCP
     try {
       const varDefs = await this.mcpClient.getVariableDefinitions(fileKey, nodeToScan.id || '0:0');
-      if (varDefs && Object.keys(varDefs).length > 0) {
-        // Map variable names to CSS variable names
-        for (const [varName, varValue] of Object.entries(varDefs)) {
-          // Skip composite types like Font()
-          if (typeof varValue === 'string' && varValue.startsWith('Font(')) continue;
-          
-          const cssVarName = '--' + varName.replace(/\//g, '-').replace(/\s+/g, '-').toLowerCase();
-          
-          // Store by name for lookup
-          this.variableDefs[varName] = {
-            name: varName,
-            cssVar: cssVarName,
-            value: varValue
-          };
-        }
-        console.log(`🎨 Loaded ${Object.keys(this.variableDefs).length} design tokens via MCP`);
+      if (varDefs && varDefs.variables) {
+        // Variables API: resolve each bound VariableID to its name, collection and values
+        this.loadFigmaVariables(varDefs, boundVarIds);
+        const resolved = Array.from(boundVarIds).filter(id => this.variableDefs[id]).length;
+        console.log(`🎨 Resolved ${resolved}/${boundVarIds.size} bound variables from ${varDefs.source} variables`);
+      } else if (varDefs && Object.keys(varDefs).length > 0) {
+        // MCP get_variable_defs: name -> value pairs only, matched to bindings by value
+        this.matchVariableDefsByValue(varDefs, nodeToScan);
+        console.log(`🎨 Matched ${Object.keys(this.variableDefs).length}/${boundVarIds.size} bound variables via MCP`);
       }
     } catch (error) {
-      console.warn('⚠️  Could not fetch variable definitions via MCP:', error.message);
+      console.warn('⚠️  Could not fetch variable definitions:', error.message);
     }
   }
   
+  // Store bound variables (and the variables they alias) keyed by VariableID
+  loadFigmaVariables(data, boundVarIds) {
+    const queue = Array.from(boundVarIds);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (this.variableDefs[id]) continue;
+      
+      const variable = data.variables[id];
+      if (!variable) continue;
+      
+      const collection = data.collections[variable.collectionId] || null;
+      if (collection) this.variableCollections[collection.id] = collection;
+      
+      this.variableDefs[id] = {
+        id,
+        name: variable.name,
+        collection: collection ? collection.name : null,
+        collectionId: collection ? collection.id : null,
+        cssVar: this.getVariableCSSName(variable.name, collection?.name),
+        resolvedType: variable.resolvedType,
+        scopes: variable.scopes || [],
+        valuesByMode: variable.valuesByMode || {},
+        value: null
+      };
+      
+      // Follow aliases so referenced primitives get defined too
+      for (const modeValue of Object.values(variable.valuesByMode || {})) {
+        if (modeValue && modeValue.type === 'VARIABLE_ALIAS') queue.push(modeValue.id);
+      }
+    }
+    
+    // Resolve default-mode CSS values once every alias target is known
+    for (const def of Object.values(this.variableDefs)) {
+      const modeId = this.variableCollections[def.collectionId]?.defaultModeId;
+      const raw = def.valuesByMode[modeId] !== undefined ? def.valuesByMode[modeId] : Object.values(def.valuesByMode)[0];
+      def.value = raw === undefined ? null : this.variableValueToCSS(raw, def);
+    }
+  }
+  
+  // CSS custom property name for a variable, prefixed with its collection
+  // ("Color" + "neutral/text-default" -> --color-neutral-text-default)
+  getVariableCSSName(name, collectionName) {
+    const slug = str => String(str).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const nameSlug = slug(name);
+    const prefix = collectionName ? slug(collectionName) : '';
+    if (!prefix || nameSlug === prefix || nameSlug.startsWith(prefix + '-')) {
+      return '--' + nameSlug;
+    }
+    return '--' + prefix + '-' + nameSlug;
+  }
+  
+  // Convert a raw variable mode value to CSS (aliases become var() references)
+  variableValueToCSS(raw, def) {
+    if (raw && typeof raw === 'object' && raw.type === 'VARIABLE_ALIAS') {
+      const target = this.variableDefs[raw.id];
+      return target ? `var(${target.cssVar})` : null;
+    }
+    
+    switch (def.resolvedType) {
+      case 'COLOR':
+        return this.figmaColorToCSS(raw);
+      case 'FLOAT': {
+        const unitless = def.scopes.some(scope => scope === 'FONT_WEIGHT' || scope === 'OPACITY');
+        return unitless ? `${raw}` : `${this.round(raw)}px`;
+      }
+      case 'STRING':
+        return def.scopes.includes('FONT_FAMILY') ? `'${raw}'` : `${raw}`;
+      default:
+        return raw === null || raw === undefined ? null : `${raw}`;
+    }
+  }
+  
+  // Literal value an alias chain ends at (same-named mode, else the target's default mode),
+  // kept on alias modes so token formats can fall back to it
+  resolveAliasValue(raw, modeName, visited = new Set()) {
+    const target = this.variableDefs[raw.id];
+    if (!target || visited.has(raw.id)) return null;
+    visited.add(raw.id);
+    
+    const collection = this.variableCollections?.[target.collectionId];
+    const mode = collection?.modes?.find(m => m.name === modeName);
+    const modeId = mode && target.valuesByMode?.[mode.modeId] !== undefined ? mode.modeId : collection?.defaultModeId;
+    const next = modeId ? target.valuesByMode?.[modeId] : undefined;
+    if (next === undefined) return target.value ?? null;
+    if (next && next.type === 'VARIABLE_ALIAS') return this.resolveAliasValue(next, modeName, visited);
+    return this.variableValueToCSS(next, target);
+  }
+  
+  // MCP get_variable_defs only returns { name: value }. Match each bound variable to the
+  // single definition whose value equals what the node renders with.
+  matchVariableDefsByValue(varDefs, rootNode) {
+    const samples = new Map();
+    this.collectBoundVariableSamples(rootNode, samples);
+    
+    const byValue = new Map();
+    for (const [varName, varValue] of Object.entries(varDefs)) {
+      // Skip composite types like Font()
+      if (typeof varValue !== 'string' && typeof varValue !== 'number') continue;
+      if (typeof varValue === 'string' && varValue.startsWith('Font(')) continue;
+      const key = this.normalizeTokenValue(varValue);
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(varName);
+    }
+    
+    for (const [id, sample] of samples) {
+      const names = byValue.get(this.normalizeTokenValue(sample)) || [];
+      if (names.length !== 1) continue; // Ambiguous or unknown - keep the literal value
+      this.variableDefs[id] = {
+        id,
+        name: names[0],
+        collection: null,
+        cssVar: this.getVariableCSSName(names[0], null),
+        value: `${varDefs[names[0]]}`
+      };
+    }
+  }
+  
+  // Selector that switches to a variable mode: Light/Dark modes use data-color-scheme,
+  // any other mode (brand variants etc.) uses data-theme
+  getModeSelector(modeName) {
+    const value = String(modeName).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const attribute = value === 'light' || value === 'dark' ? 'data-color-scheme' : 'data-theme';
+    return { attribute, value, selector: `[${attribute}="${value}"]` };
+  }
+  
+  // Non-default modes of the loaded collections, for the theme picker
+  getVariableThemes() {
+    const themes = new Map();
+    for (const collection of Object.values(this.variableCollections || {})) {
+      for (const mode of collection.modes || []) {
+        if (mode.modeId === collection.defaultModeId) continue;
+        const { attribute, value, selector } = this.getModeSelector(mode.name);
+        if (!themes.has(selector)) {
+          themes.set(selector, { attribute, value, label: mode.name, collections: [] });
+        }
+        themes.get(selector).collections.push(collection.name);
+      }
+    }
+    return Array.from(themes.values());
+  }
+  
+  // CSS custom properties for every mode of every loaded collection:
+  // default modes in :root, other modes in [data-color-scheme]/[data-theme] blocks
+  generateVariableThemeCSS() {
+    const defs = [];
+    const seen = new Set();
+    for (const def of Object.values(this.variableDefs || {})) {
+      if (!def.cssVar || seen.has(def.cssVar)) continue;
+      seen.add(def.cssVar);
+      defs.push(def);
+    }
+    if (defs.length === 0) return '';
+    
+    const blocks = new Map([[':root', []]]);
+    for (const def of defs) {
+      if (def.value !== null && def.value !== undefined) {
+        blocks.get(':root').push(`  ${def.cssVar}: ${def.value};`);
+      }
+      
+      const collection = this.variableCollections?.[def.collectionId];
+      if (!collection || !def.valuesByMode) continue;
+      for (const mode of collection.modes || []) {
+        if (mode.modeId === collection.defaultModeId) continue;
+        const raw = def.valuesByMode[mode.modeId];
+        if (raw === undefined) continue;
+        const value = this.variableValueToCSS(raw, def);
+        if (value === null || value === def.value) continue;
+        const { selector } = this.getModeSelector(mode.name);
+        if (!blocks.has(selector)) blocks.set(selector, []);
+        blocks.get(selector).push(`  ${def.cssVar}: ${value};`);
+      }
+    }
+    
+    return Array.from(blocks.entries())
+      .filter(([, lines]) => lines.length > 0)
+      .map(([selector, lines]) => `${selector} {\n${lines.join('\n')}\n}`)
+      .join('\n\n');
+  }
+  
+  // Collapsible lists of the assets that failed to load in the last compile and the
+  // design features the last render couldn't reproduce
+  generateAssetWarningHTML() {
+    const escape = str => String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const node = nodeId => nodeId ? ' <code>' + escape(nodeId) + '</code>' : '';
+    let html = '';
+    if (this.assetErrors && this.assetErrors.length > 0) {
+      const items = this.assetErrors
+        .map(e => `<li>${e.type}${node(e.nodeId)} - ${escape(e.message)}</li>`)
+        .join('');
+      html += `<details class="asset-warning"><summary>⚠️ ${this.assetErrors.length} asset(s) failed to load - the preview is incomplete</summary><ul>${items}</ul></details>`;
+    }
+    if (this.compileWarnings && this.compileWarnings.length > 0) {
+      const items = this.compileWarnings
+        .map(w => `<li>${node(w.nodeId).trim()} - ${escape(w.message)}</li>`)
+        .join('');
+      html += `<details class="asset-warning"><summary>⚠️ ${this.compileWarnings.length} design feature(s) could not be reproduced</summary><ul>${items}</ul></details>`;
+    }
+    if (this.fontErrors && this.fontErrors.length > 0) {
+      const items = this.fontErrors
+        .map(f => `<li>${escape(f.family)} (${escape(f.variants)}) - ${escape(f.message)}</li>`)
+        .join('');
+      html += `<details class="asset-warning"><summary>⚠️ ${this.fontErrors.length} font(s) could not be checked or found on Google Fonts - text may use another font</summary><ul>${items}</ul></details>`;
+    }
+    return html;
+  }
+  
+  // Theme picker <select>s for the compiler page (one per mode attribute)
+  generateThemePickerHTML() {
+    const themes = this.getVariableThemes();
+    if (themes.length === 0) return '';
+    
+    const attributes = [
+      { attribute: 'data-color-scheme', label: 'Color scheme' },
+      { attribute: 'data-theme', label: 'Theme' }
+    ];
+    return attributes.map(({ attribute, label }) => {
+      const options = themes.filter(theme => theme.attribute === attribute);
+      if (options.length === 0) return '';
+      const optionsHTML = options
+        .map(theme => `<option value="${this.escapeHTML(theme.value)}" title="${this.escapeHTML(theme.collections.join(', '))}">${this.escapeHTML(theme.label)}</option>`)
+        .join('');
+      return `<select class="theme-select" title="${label}" onchange="setVariableMode('${attribute}', this.value)"><option value="">${label}: Default</option>${optionsHTML}</select>`;
+    }).filter(Boolean).join('\n');
+  }
+  
+  // DTCG $type for a variable definition
+  getVariableTokenType(def) {
+    const scopes = def.scopes || [];
+    switch (def.resolvedType) {
+      case 'COLOR':
+        return 'color';
+      case 'FLOAT':
+        if (scopes.includes('FONT_WEIGHT')) return 'fontWeight';
+        if (scopes.includes('OPACITY')) return 'number';
+        return 'dimension';
+      case 'STRING':
+        return scopes.includes('FONT_FAMILY') ? 'fontFamily' : null;
+      case undefined: {
+        // MCP-matched definitions only carry a value
+        const value = String(def.value || '');
+        if (/^(#|rgba?\()/i.test(value)) return 'color';
+        if (/^-?[\d.]+px$/.test(value)) return 'dimension';
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+  
+  // Variables and styles used by the loaded node, with aliases kept as references,
+  // in the shape DesignTokenExporter expects
+  buildDesignTokens(figmaData) {
+    const variables = [];
+    const seen = new Set();
+    for (const def of Object.values(this.variableDefs || {})) {
+      if (!def.cssVar || seen.has(def.id)) continue;
+      seen.add(def.id);
+      
+      const collection = this.variableCollections?.[def.collectionId];
+      const modes = [];
+      if (collection && def.valuesByMode) {
+        for (const mode of collection.modes || []) {
+          const raw = def.valuesByMode[mode.modeId];
+          if (raw === undefined) continue;
+          const aliasOf = raw && raw.type === 'VARIABLE_ALIAS' ? raw.id : null;
+          modes.push({
+            name: mode.name,
+            isDefault: mode.modeId === collection.defaultModeId,
+            aliasOf,
+            value: aliasOf ? this.resolveAliasValue(raw, mode.name) : this.variableValueToCSS(raw, def)
+          });
+        }
+      } else {
+        modes.push({ name: 'Default', isDefault: true, aliasOf: null, value: def.value });
+      }
+      
+      variables.push({
+        id: def.id,
+        name: def.name,
+        collection: def.collection,
+        cssVar: def.cssVar,
+        type: this.getVariableTokenType(def),
+        scopes: def.scopes || [],
+        modes
+      });
+    }
+    
+    const styles = [];
+    if (figmaData) {
+      const styleMeta = { ...(figmaData.styles || {}) };
+      for (const entry of Object.values(figmaData.nodes || {})) {
+        Object.assign(styleMeta, entry.styles || {});
+      }
+      const used = new Map();
+      this.collectUsedStyles(this.extractNodeToRender(figmaData), styleMeta, used);
+      styles.push(...used.values());
+    }
+    
+    return { variables, styles, variableCSS: this.generateVariableThemeCSS() };
+  }
+  
+  // Walk the tree for shared styles (node.styles) and read their values off the first node using each
+  collectUsedStyles(node, styleMeta, used) {
+    if (!node) return;
+    
+    for (const [key, styleId] of Object.entries(node.styles || {})) {
+      const meta = styleMeta[styleId];
+      if (!meta || !meta.name || used.has(styleId)) continue;
+      
+      const token = this.getStyleTokenValue(node, key);
+      if (!token) continue;
+      used.set(styleId, {
+        id: styleId,
+        name: meta.name,
+        description: meta.description || '',
+        styleType: meta.styleType,
+        cssVar: this.getVariableCSSName(meta.name, 'styles'),
+        ...token
+      });
+    }
+    
+    if (node.children) {
+      node.children.forEach(child => this.collectUsedStyles(child, styleMeta, used));
+    }
+  }
+  
+  // { type, value, aliasOf } for the style applied to a node under node.styles[key]
+  getStyleTokenValue(node, key) {
+    if (key === 'text' && node.style) {
+      const style = node.style;
+      const value = {};
+      if (style.fontFamily) value.fontFamily = `'${style.fontFamily}'`;
+      if (style.fontSize) value.fontSize = `${this.round(style.fontSize)}px`;
+      if (style.fontWeight) value.fontWeight = style.fontWeight;
+      if (style.lineHeightPx) value.lineHeight = `${this.round(style.lineHeightPx)}px`;
+      if (style.letterSpacing) value.letterSpacing = `${this.round(style.letterSpacing)}px`;
+      return { type: 'typography', value, aliasOf: null };
+    }
+    
+    if (key === 'effect') {
+      const shadows = (node.effects || [])
+        .filter(effect => effect.visible !== false && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW'))
+        .map(effect => ({
+          color: this.figmaColorToCSS(effect.color),
+          offsetX: `${this.round(effect.offset?.x || 0)}px`,
+          offsetY: `${this.round(effect.offset?.y || 0)}px`,
+          blur: `${this.round(effect.radius || 0)}px`,
+          spread: `${this.round(effect.spread || 0)}px`,
+          inset: effect.type === 'INNER_SHADOW'
+        }));
+      return shadows.length > 0 ? { type: 'shadow', value: shadows, aliasOf: null } : null;
+    }
+    
+    if (key === 'fill' || key === 'fills' || key === 'stroke' || key === 'strokes') {
+      const paints = key.startsWith('fill') ? node.fills : node.strokes;
+      const paint = (paints || []).find(p => p.visible !== false);
+      if (!paint) return null;
+      
+      if (paint.type === 'SOLID' && paint.color) {
+        const color = { ...paint.color, a: (paint.color.a ?? 1) * (paint.opacity ?? 1) };
+        const aliasId = paint.boundVariables?.color?.id;
+        return {
+          type: 'color',
+          value: this.figmaColorToCSS(color),
+          aliasOf: aliasId && this.variableDefs[aliasId] ? aliasId : null
+        };
+      }
+      if (paint.type && paint.type.startsWith('GRADIENT_') && paint.gradientStops) {
+        const stops = paint.gradientStops.map(stop => ({
+          color: this.figmaColorToCSS(stop.color),
+          position: Math.round(stop.position * 100) / 100
+        }));
+        return { type: 'gradient', value: stops, aliasOf: null };
+      }
+    }
+    
+    return null;
+  }
+  
+  // Serialize the design's tokens (dtcg, css, scss, tailwind or js)
+  // Returns { fileName, contentType, content }
+  generateTokenExport(figmaData, format = 'dtcg') {
+    return new DesignTokenExporter(this.buildDesignTokens(figmaData)).export(format);
+  }
+  
+  // Record the value each bound variable resolves to on the node it's bound to
+  collectBoundVariableSamples(node, samples) {
+    if (!node) return;
+    const bound = node.boundVariables || {};
+    const single = binding => (Array.isArray(binding) ? binding[0] : binding);
+    const add = (binding, value) => {
+      if (binding && binding.id && value !== undefined && value !== null && !samples.has(binding.id)) {
+        samples.set(binding.id, value);
+      }
+    };
+    
+    (node.fills || []).forEach((fill, i) => {
+      if (fill.type !== 'SOLID' || !fill.color) return;
+      const binding = fill.boundVariables?.color || (Array.isArray(bound.fills) ? bound.fills[i] : null);
+      add(binding, this.figmaColorToCSS(fill.color));
+    });
+    (node.strokes || []).forEach((stroke, i) => {
+      if (stroke.type !== 'SOLID' || !stroke.color) return;
+      const binding = stroke.boundVariables?.color || (Array.isArray(bound.strokes) ? bound.strokes[i] : null);
+      add(binding, this.figmaColorToCSS(stroke.color));
+    });
+    
+    ['itemSpacing', 'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom', 'cornerRadius'].forEach(prop => {
+      add(single(bound[prop]), node[prop]);
+    });
+    
+    if (node.style) {
+      add(single(bound.fontSize), node.style.fontSize);
+      add(single(bound.fontWeight), node.style.fontWeight);
+      add(single(bound.fontFamily), node.style.fontFamily);
+      add(single(bound.lineHeight), node.style.lineHeightPx);
+      add(single(bound.letterSpacing), node.style.letterSpacing);
+    }
+    
+    if (node.children) {
+      node.children.forEach(child => this.collectBoundVariableSamples(child, samples));
+    }
+  }
+  
+  // Canonical form for comparing token values ('#FFF' vs 'rgba(255, 255, 255, 1)', '16px' vs 16)
+  normalizeTokenValue(value) {
+    const str = String(value).trim().toLowerCase();
+    
+    const hex = str.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length === 3 || digits.length === 4) digits = digits.split('').map(c => c + c).join('');
+      const r = parseInt(digits.slice(0, 2), 16);
+      const g = parseInt(digits.slice(2, 4), 16);
+      const b = parseInt(digits.slice(4, 6), 16);
+      const a = digits.length === 8 ? Math.round(parseInt(digits.slice(6, 8), 16) / 255 * 100) / 100 : 1;
+      return `rgba(${r},${g},${b},${a})`;
+    }
+    
+    const rgba = str.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (rgba) {
+      const a = rgba[4] !== undefined ? Math.round(parseFloat(rgba[4]) * 100) / 100 : 1;
+      return `rgba(${rgba[1]},${rgba[2]},${rgba[3]},${a})`;
+    }
+    
+    const number = str.match(/^(-?\d+(?:\.\d+)?)(px)?$/);
+    if (number) return `${this.round(parseFloat(number[1]))}`;
+    
+    return str.replace(/^['"]|['"]$/g, '');
+  }
+  
   collectBoundVariables(node, boundVarIds) {
     if (!node) return;
     
@@ -313,43 +983,21 @@ class MCPCompiler {
     return fallbackValue;
   }
   
-  // Map variable ID to CSS var() syntax based on property type
+  // Variable bound to a specific fill - on the paint itself or at the same index in node.boundVariables.fills
+  // (or node.boundVariables.strokes for a stroke)
+  getFillVariableValue(node, fill, fallbackValue, property = 'fills') {
+    const index = node[property] ? node[property].indexOf(fill) : -1;
+    const binding = fill.boundVariables?.color ||
+      (Array.isArray(node.boundVariables?.[property]) ? node.boundVariables[property][index] : null);
+    return binding && binding.id ? this.getVariableCSSFromId(binding.id, property, fallbackValue) : fallbackValue;
+  }
+  
+  // Map a bound VariableID to CSS var() syntax using its resolved definition
   getVariableCSSFromId(varId, property, fallbackValue) {
-    // Extract the variable name hint from the ID
-    // Format: VariableID:hash/nodeId
-    // We map based on property type to common design system patterns
-    
-    const propertyToVarMap = {
-      'fills': 'color/neutral/text-default',
-      'fontFamily': 'font-family',
-      'fontSize': 'font-size/10',
-      'fontStyle': 'font-weight/bold'
-    };
-    
-    const varName = propertyToVarMap[property];
-    if (varName && this.variableDefs[varName]) {
-      const varDef = this.variableDefs[varName];
+    const varDef = this.variableDefs?.[varId];
+    if (varDef && varDef.cssVar) {
       return `var(${varDef.cssVar}, ${fallbackValue})`;
     }
-    
-    // If we have the variable definition loaded, use it
-    if (this.variableDefs) {
-      for (const [name, def] of Object.entries(this.variableDefs)) {
-        if (def.cssVar) {
-          // Match based on property type
-          if (property === 'fills' && name.includes('color')) {
-            return `var(${def.cssVar}, ${fallbackValue})`;
-          }
-          if (property === 'fontFamily' && name.includes('font-family')) {
-            return `var(${def.cssVar}, ${fallbackValue})`;
-          }
-          if (property === 'fontSize' && name.includes('font-size')) {
-            return `var(${def.cssVar}, ${fallbackValue})`;
-          }
-        }
-      }
-    }
-    
     return fallbackValue;
   }
   
@@ -370,124 +1018,129 @@ class MCPCompiler {
     console.log('🔍 Scanning for image/vector/video nodes...');
     this.collectImageNodes(nodeToScan, vectorNodeIds, imageNodeIds, videoNodes);
     
-    const token = process.env.FIGMA_ACCESS_TOKEN;
+    this.svgContent = {};
+    this.imageUrls = {};
+    this.gifUrls = {};
+    this.videoUrls = {};
+    
+    const token = this.mcpClient.token;
     if (!token) {
-      console.warn('⚠️  No FIGMA_ACCESS_TOKEN - images will not be rendered');
+      // Without REST access, an MCP server's get_image tool can still render image nodes
+      if (this.mcpClient.hasTool('figma_get_image') && imageNodeIds.length > 0) {
+        console.log(`🖼️  Fetching ${imageNodeIds.length} images via MCP get_image...`);
+        for (const imageNodeId of imageNodeIds) {
+          try {
+            const dataUri = await this.mcpClient.getImage(fileKey, imageNodeId);
+            if (dataUri) {
+              this.imageUrls[imageNodeId] = dataUri;
+            } else {
+              this.recordAssetError(imageNodeId, 'image', new Error('MCP get_image returned no image'));
+            }
+          } catch (err) {
+            this.recordAssetError(imageNodeId, 'image', err);
+          }
+        }
+        return;
+      }
+      console.warn('⚠️  No Figma access token - images will not be rendered');
       return;
     }
     
-    this.svgContent = {};
-    this.imageUrls = {};
-    this.videoUrls = {};
+    const http = this.mcpClient.http;
     
     // Fetch SVGs for vector nodes
     if (vectorNodeIds.length > 0) {
       console.log(`🖼️  Fetching SVG for ${vectorNodeIds.length} vector nodes...`);
+      let svgUrls = null;
       try {
-        const ids = vectorNodeIds.join(',');
-        const response = await fetch(
-          `https://api.figma.com/v1/images/${fileKey}?ids=${ids}&format=svg`,
-          { headers: { 'X-Figma-Token': token } }
-        );
-        
-        if (response.ok) {
-          const data = await response.json();
-          const svgUrls = data.images || {};
-          
-          for (const [nodeId, url] of Object.entries(svgUrls)) {
-            if (url) {
-              try {
-                const svgResponse = await fetch(url);
-                if (svgResponse.ok) {
-                  const svgText = await svgResponse.text();
-                  this.svgContent[nodeId] = svgText;
-                  console.log(`  ✅ Fetched SVG for ${nodeId}`);
-                }
-              } catch (err) {
-                console.warn(`  ⚠️  Failed to fetch SVG for ${nodeId}:`, err.message);
-              }
-            }
-          }
-        }
+        const data = await http.getJSON(`/images/${fileKey}?ids=${vectorNodeIds.join(',')}&format=svg`);
+        svgUrls = data.images || {};
       } catch (error) {
-        console.warn('⚠️  Error fetching SVG URLs:', error.message);
+        vectorNodeIds.forEach(nodeId => this.recordAssetError(nodeId, 'svg', error));
+      }
+      
+      // Downloads share the HTTP client's pool, so they run a few at a time
+      if (svgUrls) {
+        await Promise.all(vectorNodeIds.map(async (nodeId) => {
+          const url = svgUrls[nodeId];
+          if (!url) {
+            this.recordAssetError(nodeId, 'svg', new FigmaApiError('Figma could not render this node', { code: 'RENDER_FAILED' }));
+            return;
+          }
+          try {
+            this.svgContent[nodeId] = await http.getText(url);
+            console.log(`  ✅ Fetched SVG for ${nodeId}`);
+          } catch (err) {
+            this.recordAssetError(nodeId, 'svg', err);
+          }
+        }));
       }
     }
     
     // First, fetch the file's images/assets to check for videos
     let fileAssets = {};
     try {
-      const assetsResponse = await fetch(
-        `https://api.figma.com/v1/files/${fileKey}/images`,
-        { headers: { 'X-Figma-Token': token } }
-      );
-      if (assetsResponse.ok) {
-        const assetsData = await assetsResponse.json();
-        fileAssets = assetsData.meta?.images || {};
-        console.log(`📦 Found ${Object.keys(fileAssets).length} file assets`);
-        // Log a few asset URLs to see their format
-        const assetEntries = Object.entries(fileAssets).slice(0, 3);
-        for (const [ref, url] of assetEntries) {
-          console.log(`   Asset ${ref.substring(0, 8)}...: ${url.substring(0, 80)}...`);
-        }
+      const assetsData = await http.getJSON(`/files/${fileKey}/images`);
+      fileAssets = assetsData.meta?.images || {};
+      console.log(`📦 Found ${Object.keys(fileAssets).length} file assets`);
+      // Log a few asset URLs to see their format
+      const assetEntries = Object.entries(fileAssets).slice(0, 3);
+      for (const [ref, url] of assetEntries) {
+        console.log(`   Asset ${ref.substring(0, 8)}...: ${url.substring(0, 80)}...`);
       }
     } catch (error) {
-      console.warn('⚠️  Error fetching file assets:', error.message);
+      this.recordAssetError(null, 'file-assets', error);
     }
     
     // Fetch PNG for image fill nodes
     if (imageNodeIds.length > 0) {
       console.log(`🖼️  Fetching PNG for ${imageNodeIds.length} image nodes...`);
+      let imageUrls = null;
       try {
-        const ids = imageNodeIds.join(',');
-        const response = await fetch(
-          `https://api.figma.com/v1/images/${fileKey}?ids=${ids}&format=png&scale=2`,
-          { headers: { 'X-Figma-Token': token } }
+        const data = await http.getJSON(`/images/${fileKey}?ids=${imageNodeIds.join(',')}&format=png&scale=2`);
+        imageUrls = data.images || {};
+      } catch (error) {
+        imageNodeIds.forEach(nodeId => this.recordAssetError(nodeId, 'image', error));
+      }
+      
+      for (const nodeId of imageUrls ? imageNodeIds : []) {
+        const url = imageUrls[nodeId];
+        if (!url) {
+          this.recordAssetError(nodeId, 'image', new FigmaApiError('Figma could not render this node', { code: 'RENDER_FAILED' }));
+          continue;
+        }
+        
+        const nodeInfo = this.findNodeById(nodeToScan, nodeId);
+        const nodeName = nodeInfo?.name?.toLowerCase() || '';
+        
+        // Check if this is a GIF (by name or file extension)
+        const isGifNode = nodeName.includes('.gif') || nodeName.includes('gif');
+        
+        // Check if this is a video (by name)
+        const isVideoNode = !isGifNode && (
+          nodeName.includes('video') ||
+          nodeName.includes('.mp4') ||
+          nodeName.includes('.webm') ||
+          nodeName.includes('.mov')
         );
         
-        if (response.ok) {
-          const data = await response.json();
-          const imageUrls = data.images || {};
-          
-          for (const [nodeId, url] of Object.entries(imageUrls)) {
-            if (url) {
-              const nodeInfo = this.findNodeById(nodeToScan, nodeId);
-              const nodeName = nodeInfo?.name?.toLowerCase() || '';
-              
-              // Check if this is a GIF (by name or file extension)
-              const isGifNode = nodeName.includes('.gif') || nodeName.includes('gif');
-              
-              // Check if this is a video (by name)
-              const isVideoNode = !isGifNode && (
-                nodeName.includes('video') ||
-                nodeName.includes('.mp4') ||
-                nodeName.includes('.webm') ||
-                nodeName.includes('.mov')
-              );
-              
-              // Get the original asset URL from file assets (preserves GIF format)
-              const imageFill = nodeInfo?.fills?.find(f => f.type === 'IMAGE' && f.visible !== false);
-              const originalAssetUrl = imageFill?.imageRef ? fileAssets[imageFill.imageRef] : null;
-              
-              if (isGifNode) {
-                // For GIFs, use the original asset URL if available (preserves animation)
-                // Otherwise fall back to the rendered PNG
-                this.gifUrls = this.gifUrls || {};
-                this.gifUrls[nodeId] = originalAssetUrl || url;
-                console.log(`  🎞️  Detected GIF node: ${nodeId}${originalAssetUrl ? ' (using original asset)' : ' (using rendered image)'}`);
-              } else if (isVideoNode) {
-                // For video nodes, store thumbnail
-                this.videoUrls[nodeId] = url;
-                console.log(`  🎬 Detected video node: ${nodeId} (using thumbnail)`);
-              } else {
-                this.imageUrls[nodeId] = url;
-                console.log(`  ✅ Got image URL for ${nodeId}`);
-              }
-            }
-          }
+        // Get the original asset URL from file assets (preserves GIF format)
+        const imageFill = nodeInfo?.fills?.find(f => f.type === 'IMAGE' && f.visible !== false);
+        const originalAssetUrl = imageFill?.imageRef ? fileAssets[imageFill.imageRef] : null;
+        
+        if (isGifNode) {
+          // For GIFs, use the original asset URL if available (preserves animation)
+          // Otherwise fall back to the rendered PNG
+          this.gifUrls[nodeId] = originalAssetUrl || url;
+          console.log(`  🎞️  Detected GIF node: ${nodeId}${originalAssetUrl ? ' (using original asset)' : ' (using rendered image)'}`);
+        } else if (isVideoNode) {
+          // For video nodes, store thumbnail
+          this.videoUrls[nodeId] = url;
+          console.log(`  🎬 Detected video node: ${nodeId} (using thumbnail)`);
+        } else {
+          this.imageUrls[nodeId] = url;
+          console.log(`  ✅ Got image URL for ${nodeId}`);
         }
-      } catch (error) {
-        console.warn('⚠️  Error fetching image URLs:', error.message);
       }
     }
     
@@ -499,11 +1152,34 @@ class MCPCompiler {
         if (videoFill?.videoRef && fileAssets[videoFill.videoRef]) {
           this.videoUrls[id] = fileAssets[videoFill.videoRef];
           console.log(`  ✅ Got video URL for ${id}`);
+        } else {
+          this.recordAssetError(id, 'video', new FigmaApiError('Video asset not found in the file\'s images', { code: 'NOT_FOUND' }));
         }
       }
     }
     
-    console.log(`✅ Fetched ${Object.keys(this.svgContent).length} inline SVGs, ${Object.keys(this.imageUrls).length} image URLs, ${Object.keys(this.videoUrls).length} video URLs`);
+    const failed = this.assetErrors.filter(e => e.type !== 'instance').length;
+    console.log(`✅ Fetched ${Object.keys(this.svgContent).length} inline SVGs, ${Object.keys(this.imageUrls).length} image URLs, ${Object.keys(this.videoUrls).length} video URLs${failed ? ` (${failed} failed)` : ''}`);
+  }
+  
+  // Remember an asset that failed to load so the compile result can report it.
+  // error is usually a FigmaApiError (code/status) but any Error works
+  recordAssetError(nodeId, type, error) {
+    this.assetErrors.push({
+      nodeId,
+      type,
+      code: error.code || 'ERROR',
+      status: error.status || null,
+      message: error.message
+    });
+    console.warn(`  ⚠️  Failed to load ${type}${nodeId ? ' for ' + nodeId : ''}: ${error.message}`);
+  }
+  
+  // Remember a design feature the render couldn't reproduce, so the compiler page and
+  // CLI can report it
+  recordCompileWarning(nodeId, message) {
+    this.compileWarnings.push({ nodeId, message });
+    console.warn(`  ⚠️  ${nodeId ? nodeId + ': ' : ''}${message}`);
   }
   
   collectImageNodes(node, vectorIds, imageIds, videoIds, depth = 0) {
@@ -616,19 +1292,19 @@ class MCPCompiler {
     return null;
   }
   
-  processSvg(svgCode, className, nodeId, node) {
+  processSvg(svgCode, className, nodeId, node, parent = null) {
     // Get sizing from Figma design
     const bbox = node.absoluteBoundingBox;
     const sizingH = node.layoutSizingHorizontal || 'FIXED';
     const sizingV = node.layoutSizingVertical || 'FIXED';
+    const fill = this.getFillSizing(node, parent);
     
     let widthAttr, heightAttr;
-    let styleAttr = '';
+    let styleAttr = fill.styles.map(style => `${style}; `).join('');
     
     // Width
-    if (sizingH === 'FILL') {
+    if (fill.horizontal) {
       widthAttr = '100%';
-      styleAttr += 'flex: 1; ';
     } else if (sizingH === 'HUG') {
       // Keep original width from SVG
       widthAttr = null;
@@ -638,9 +1314,8 @@ class MCPCompiler {
     }
     
     // Height
-    if (sizingV === 'FILL') {
+    if (fill.vertical) {
       heightAttr = '100%';
-      styleAttr += 'flex-grow: 1; ';
     } else if (sizingV === 'HUG') {
       // Keep original height from SVG
       heightAttr = null;
@@ -688,23 +1363,20 @@ class MCPCompiler {
     const mathAngle = Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI;
     const linearAngle = Math.round(90 + mathAngle);
     
+    // The paint's opacity fades every stop
+    const stopColor = color => {
+      const r = Math.round(color.r * 255);
+      const g = Math.round(color.g * 255);
+      const b = Math.round(color.b * 255);
+      const a = Math.round((color.a ?? 1) * (fill.opacity ?? 1) * 1000) / 1000;
+      return `rgba(${r}, ${g}, ${b}, ${a})`;
+    };
+    
     // Build color stops
-    const stops = fill.gradientStops?.map(stop => {
-      const r = Math.round(stop.color.r * 255);
-      const g = Math.round(stop.color.g * 255);
-      const b = Math.round(stop.color.b * 255);
-      const a = stop.color.a ?? 1;
-      return `rgba(${r}, ${g}, ${b}, ${a}) ${Math.round(stop.position * 100)}%`;
-    }).join(', ');
+    const stops = fill.gradientStops?.map(stop => `${stopColor(stop.color)} ${Math.round(stop.position * 100)}%`).join(', ');
     
     // Build angular stops (for conic-gradient, positions are in degrees 0-360)
-    const angularStops = fill.gradientStops?.map(stop => {
-      const r = Math.round(stop.color.r * 255);
-      const g = Math.round(stop.color.g * 255);
-      const b = Math.round(stop.color.b * 255);
-      const a = stop.color.a ?? 1;
-      return `rgba(${r}, ${g}, ${b}, ${a}) ${Math.round(stop.position * 360)}deg`;
-    }).join(', ');
+    const angularStops = fill.gradientStops?.map(stop => `${stopColor(stop.color)} ${Math.round(stop.position * 360)}deg`).join(', ');
     
     switch (fill.type) {
       case 'GRADIENT_LINEAR':
@@ -725,16 +1397,8 @@ class MCPCompiler {
         const firstStop = fill.gradientStops?.[0];
         const lastStop = fill.gradientStops?.[fill.gradientStops.length - 1];
         if (firstStop && lastStop) {
-          const r1 = Math.round(firstStop.color.r * 255);
-          const g1 = Math.round(firstStop.color.g * 255);
-          const b1 = Math.round(firstStop.color.b * 255);
-          const a1 = firstStop.color.a ?? 1;
-          const r2 = Math.round(lastStop.color.r * 255);
-          const g2 = Math.round(lastStop.color.g * 255);
-          const b2 = Math.round(lastStop.color.b * 255);
-          const a2 = lastStop.color.a ?? 1;
-          const c1 = `rgba(${r1}, ${g1}, ${b1}, ${a1})`;
-          const c2 = `rgba(${r2}, ${g2}, ${b2}, ${a2})`;
+          const c1 = stopColor(firstStop.color);
+          const c2 = stopColor(lastStop.color);
           return `linear-gradient(to bottom right, ${c1} 0%, ${c2} 50%) bottom right / 50% 50% no-repeat, ` +
                  `linear-gradient(to bottom left, ${c1} 0%, ${c2} 50%) bottom left / 50% 50% no-repeat, ` +
                  `linear-gradient(to top left, ${c1} 0%, ${c2} 50%) top left / 50% 50% no-repeat, ` +
@@ -760,21 +1424,22 @@ class MCPCompiler {
     }
   }
 
-  translateAutoLayoutToCSS(node) {
+  translateAutoLayoutToCSS(node, parent = null) {
     const styles = [];
     
     // Sizing based on Figma's layoutSizingHorizontal/Vertical properties:
     // - FIXED = fixed dimensions from bounding box
     // - HUG = auto-size to content (don't set dimension)
-    // - FILL = flex: 1 to fill available space
+    // - FILL = fill the parent, see getFillSizing
     const bbox = node.absoluteBoundingBox;
     const sizingH = node.layoutSizingHorizontal || 'FIXED';
     const sizingV = node.layoutSizingVertical || 'FIXED';
+    const fill = this.getFillSizing(node, parent);
+    styles.push(...fill.styles);
     
     // Width
-    if (sizingH === 'FILL') {
-      styles.push('flex: 1');
-      styles.push('align-self: stretch');
+    if (fill.horizontal) {
+      // Sized by the parent
     } else if (sizingH === 'HUG') {
       // Don't set width - let content determine it
     } else if (bbox) {
@@ -783,8 +1448,8 @@ class MCPCompiler {
     }
     
     // Height
-    if (sizingV === 'FILL') {
-      styles.push('flex-grow: 1');
+    if (fill.vertical) {
+      // Sized by the parent
     } else if (sizingV === 'HUG') {
       // Don't set height - let content determine it
     } else if (bbox) {
@@ -808,36 +1473,23 @@ class MCPCompiler {
       styles.push(`background-color: rgba(${r}, ${g}, ${b}, ${a})`);
     }
     
-    if (node.layoutMode) {
-      styles.push('display: flex');
-      styles.push(`flex-direction: ${node.layoutMode === 'VERTICAL' ? 'column' : 'row'}`);
-      
-      // Primary axis alignment
-      if (node.primaryAxisAlignItems) {
-        let justifyContent = node.primaryAxisAlignItems;
-        // If SPACE_BETWEEN but only 1 child, use center instead (common Figma pattern)
-        if (justifyContent === 'SPACE_BETWEEN' && node.children && node.children.length === 1) {
-          justifyContent = 'CENTER';
-        }
-        const alignMap = { 'MIN': 'flex-start', 'CENTER': 'center', 'MAX': 'flex-end', 'SPACE_BETWEEN': 'space-between' };
-        styles.push(`justify-content: ${alignMap[justifyContent] || 'flex-start'}`);
-      }
-      
-      // Counter axis alignment
-      if (node.counterAxisAlignItems) {
-        const alignMap = { 'MIN': 'flex-start', 'CENTER': 'center', 'MAX': 'flex-end', 'BASELINE': 'baseline' };
-        styles.push(`align-items: ${alignMap[node.counterAxisAlignItems] || 'stretch'}`);
-      }
-      
-      // Gap between items
-      if (node.itemSpacing !== undefined) styles.push(`gap: ${node.itemSpacing}px`);
-      
-      // Padding
+    if (node.layoutMode === 'GRID') {
+      styles.push(...this.translateGridLayoutToCSS(node));
+    } else if (this.hasAutoLayout(node)) {
+      styles.push(...this.translateFlexLayoutToCSS(node));
+    }
+    
+    // Padding
+    if (this.hasAutoLayout(node)) {
       const pt = node.paddingTop || 0;
       const pr = node.paddingRight || 0;
       const pb = node.paddingBottom || 0;
       const pl = node.paddingLeft || 0;
-      if (pt || pr || pb || pl) styles.push(`padding: ${pt}px ${pr}px ${pb}px ${pl}px`);
+      if (pt || pr || pb || pl) {
+        const padding = [['paddingTop', pt], ['paddingRight', pr], ['paddingBottom', pb], ['paddingLeft', pl]]
+          .map(([prop, value]) => this.getBoundVariableValue(node, prop, `${value}px`));
+        styles.push(`padding: ${padding.join(' ')}`);
+      }
     }
     
     // Effects (shadows, blurs)
@@ -846,18 +1498,118 @@ class MCPCompiler {
       styles.push(...effectCSS);
     }
     
+    // Strokes/borders - after effects, so stroke shadows join theirs
+    this.applyStrokeStyles(node, styles);
+    
     return styles.join('; ');
   }
 
-  translateNodeToHTML(node, depth = 0, parentHasAutoLayout = false) {
+  // Flexbox for HORIZONTAL/VERTICAL Auto Layout. Wrapping rows (layoutWrap: WRAP) space
+  // items with itemSpacing and the rows themselves with counterAxisSpacing
+  translateFlexLayoutToCSS(node) {
+    const styles = [];
+    const vertical = node.layoutMode === 'VERTICAL';
+    const wraps = node.layoutWrap === 'WRAP';
+    styles.push('display: flex');
+    styles.push(`flex-direction: ${vertical ? 'column' : 'row'}`);
+    if (wraps) styles.push('flex-wrap: wrap');
+    
+    // Primary axis alignment
+    if (node.primaryAxisAlignItems) {
+      let justifyContent = node.primaryAxisAlignItems;
+      // If SPACE_BETWEEN but only 1 child, use center instead (common Figma pattern)
+      if (justifyContent === 'SPACE_BETWEEN' && node.children && node.children.length === 1) {
+        justifyContent = 'CENTER';
+      }
+      const alignMap = { 'MIN': 'flex-start', 'CENTER': 'center', 'MAX': 'flex-end', 'SPACE_BETWEEN': 'space-between' };
+      styles.push(`justify-content: ${alignMap[justifyContent] || 'flex-start'}`);
+    }
+    
+    // Counter axis alignment
+    if (node.counterAxisAlignItems) {
+      const alignMap = { 'MIN': 'flex-start', 'CENTER': 'center', 'MAX': 'flex-end', 'BASELINE': 'baseline' };
+      styles.push(`align-items: ${alignMap[node.counterAxisAlignItems] || 'stretch'}`);
+    }
+    
+    // Gap between items
+    if (wraps && node.counterAxisSpacing !== undefined && node.counterAxisSpacing !== null) {
+      const itemGap = this.getBoundVariableValue(node, 'itemSpacing', `${node.itemSpacing || 0}px`);
+      const lineGap = this.getBoundVariableValue(node, 'counterAxisSpacing', `${node.counterAxisSpacing}px`);
+      styles.push(`row-gap: ${vertical ? itemGap : lineGap}`);
+      styles.push(`column-gap: ${vertical ? lineGap : itemGap}`);
+    } else if (node.itemSpacing !== undefined) {
+      styles.push(`gap: ${this.getBoundVariableValue(node, 'itemSpacing', `${node.itemSpacing}px`)}`);
+    }
+    
+    // Placement of the wrapped lines: SPACE_BETWEEN spreads them out, AUTO packs them
+    // like the items' counter axis alignment
+    if (wraps) {
+      const alignMap = { 'MIN': 'flex-start', 'CENTER': 'center', 'MAX': 'flex-end', 'BASELINE': 'flex-start' };
+      const alignContent = node.counterAxisAlignContent === 'SPACE_BETWEEN'
+        ? 'space-between'
+        : alignMap[node.counterAxisAlignItems] || 'flex-start';
+      styles.push(`align-content: ${alignContent}`);
+    }
+    
+    return styles;
+  }
+  
+  // CSS Grid for GRID Auto Layout. Figma gives the track sizes as CSS strings
+  // (gridColumnsSizing/gridRowsSizing); otherwise the tracks share the space equally
+  translateGridLayoutToCSS(node) {
+    const styles = ['display: grid'];
+    const tracks = (sizing, count) => sizing || (count > 0 ? `repeat(${count}, minmax(0, 1fr))` : null);
+    const columns = tracks(node.gridColumnsSizing, node.gridColumnCount);
+    const rows = tracks(node.gridRowsSizing, node.gridRowCount);
+    if (columns) styles.push(`grid-template-columns: ${columns}`);
+    if (rows) styles.push(`grid-template-rows: ${rows}`);
+    
+    if (node.gridRowGap) {
+      styles.push(`row-gap: ${this.getBoundVariableValue(node, 'gridRowGap', `${node.gridRowGap}px`)}`);
+    }
+    if (node.gridColumnGap) {
+      styles.push(`column-gap: ${this.getBoundVariableValue(node, 'gridColumnGap', `${node.gridColumnGap}px`)}`);
+    }
+    return styles;
+  }
+  
+  // Cell placement, spans and alignment of a child of a GRID Auto Layout frame.
+  // Anchor indexes are 0-based; children without one are placed automatically
+  getGridChildStyles(node, parent) {
+    if (!parent || parent.layoutMode !== 'GRID' || node.layoutPositioning === 'ABSOLUTE') return '';
+    
+    const styles = [];
+    const placement = (anchor, span) => {
+      const spanCSS = span > 1 ? `span ${span}` : null;
+      if (anchor === undefined || anchor === null || anchor < 0) return spanCSS;
+      return spanCSS ? `${anchor + 1} / ${spanCSS}` : `${anchor + 1}`;
+    };
+    const column = placement(node.gridColumnAnchorIndex, node.gridColumnSpan);
+    const row = placement(node.gridRowAnchorIndex, node.gridRowSpan);
+    if (column) styles.push(`grid-column: ${column}`);
+    if (row) styles.push(`grid-row: ${row}`);
+    
+    const alignMap = { 'MIN': 'start', 'CENTER': 'center', 'MAX': 'end' };
+    if (alignMap[node.gridChildHorizontalAlign]) styles.push(`justify-self: ${alignMap[node.gridChildHorizontalAlign]}`);
+    if (alignMap[node.gridChildVerticalAlign]) styles.push(`align-self: ${alignMap[node.gridChildVerticalAlign]}`);
+    return styles.join('; ');
+  }
+  
+  // parent - the parent Figma node, for placing and sizing the node inside it
+  translateNodeToHTML(node, depth = 0, parent = null) {
     if (!node) return '';
     
+    // A new render collects the fonts its text uses and its warnings from scratch
+    if (depth === 0) {
+      this.usedFonts = new WebFonts();
+      this.compileWarnings = [];
+    }
+    
     // Skip hidden layers (visible: false in Figma)
     if (node.visible === false) return '';
     
     const indent = '  '.repeat(depth);
     const className = this.getClassName(node.name);
-    const nodeHasAutoLayout = !!node.layoutMode;
     let html = '';
     
     switch (node.type) {
@@ -865,7 +1617,7 @@ class MCPCompiler {
         // Check if this frame has a Lottie animation URL in its name
         if (this.hasLottieFill(node)) {
           const lottieUrl = this.getLottieUrl(node);
-          const lottieStyle = this.translateVideoStyle(node, parentHasAutoLayout);
+          const lottieStyle = this.translateVideoStyle(node, parent);
           console.log(`  🎭 Rendering Lottie: ${lottieUrl}`);
           
           if (this.isDirectLottieUrl(lottieUrl)) {
@@ -882,9 +1634,9 @@ ${indent}  </div>
 ${indent}</div>`;
           }
         } else {
-          const frameStyle = this.translateAutoLayoutToCSS(node);
+          const frameStyle = this.translateAutoLayoutToCSS(node, parent);
           const children = node.children ? 
-            node.children.map(child => this.translateNodeToHTML(child, depth + 1, nodeHasAutoLayout)).join('\n') : '';
+            node.children.map(child => this.translateNodeToHTML(child, depth + 1, node)).join('\n') : '';
           
           html = `${indent}<div class="${className}" data-figma-id="${node.id}" style="${frameStyle}">
 ${children}
@@ -896,7 +1648,7 @@ ${indent}</div>`;
         // Check if this rectangle has a Lottie animation URL in its name
         if (this.hasLottieFill(node)) {
           const lottieUrl = this.getLottieUrl(node);
-          const lottieStyle = this.translateVideoStyle(node, parentHasAutoLayout);
+          const lottieStyle = this.translateVideoStyle(node, parent);
           console.log(`  🎭 Rendering Lottie: ${lottieUrl}`);
           
           if (this.isDirectLottieUrl(lottieUrl)) {
@@ -913,7 +1665,7 @@ ${indent}</div>`;
         // Check if this rectangle has a GIF fill
         else if (this.hasGifFill(node)) {
           const gifUrl = this.getGifUrl(node.id);
-          const gifStyle = this.translateVideoStyle(node, parentHasAutoLayout);
+          const gifStyle = this.translateVideoStyle(node, parent);
           // Note: Figma API returns static image, not animated GIF
           // To use animated GIF, provide external URL via data-gif-src attribute
           html = `${indent}<div class="${className} gif-container" data-figma-id="${node.id}" data-gif-name="${node.name}" style="${gifStyle}; background-image: url('${gifUrl}'); background-size: cover; background-position: center; position: relative;">
@@ -923,7 +1675,7 @@ ${indent}</div>`;
         // Check if this rectangle has a video fill
         else if (this.hasVideoFill(node)) {
           const videoUrl = this.getVideoUrl(node.id);
-          const videoStyle = this.translateVideoStyle(node, parentHasAutoLayout);
+          const videoStyle = this.translateVideoStyle(node, parent);
           // Render as a video container with poster/thumbnail
           html = `${indent}<div class="${className} video-container" data-figma-id="${node.id}" data-video-name="${node.name}" style="${videoStyle}; background-image: url('${videoUrl}'); background-size: cover; background-position: center; position: relative;">
 ${indent}  <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); width: 48px; height: 48px; background: rgba(0,0,0,0.6); border-radius: 50%; display: flex; align-items: center; justify-content: center;">
@@ -931,20 +1683,19 @@ ${indent}    <svg width="24" height="24" viewBox="0 0 24 24" fill="white"><path
 ${indent}  </div>
 ${indent}</div>`;
         } else {
-          // Check for IMAGE fill - render as <img> if we have a URL
-          const hasImageFill = node.fills && node.fills.some(f => f.type === 'IMAGE' && f.visible !== false);
-          const imageUrl = this.getImageUrl(node.id);
-          if (hasImageFill && imageUrl) {
-            const imgStyles = [];
-            const sizingH = node.layoutSizingHorizontal || 'FIXED';
-            const sizingV = node.layoutSizingVertical || 'FIXED';
+          // An image fill that's all the rectangle paints renders as <img>; with other
+          // fills or strokes it's one of the stacked background layers below
+          const imageUrl = this.getSoleImageUrl(node);
+          if (imageUrl) {
+            const fill = this.getFillSizing(node, parent);
+            const imgStyles = [...fill.styles];
             const bbox = node.absoluteBoundingBox;
-            if (sizingH === 'FILL') {
+            if (fill.horizontal) {
               imgStyles.push('width: 100%');
             } else if (bbox) {
               imgStyles.push(`width: ${this.round(bbox.width)}px`);
             }
-            if (sizingV === 'FILL') {
+            if (fill.vertical) {
               imgStyles.push('height: 100%');
             } else if (bbox) {
               imgStyles.push(`height: ${this.round(bbox.height)}px`);
@@ -954,23 +1705,24 @@ ${indent}</div>`;
             if (node.cornerRadius) {
               imgStyles.push(`border-radius: ${this.round(node.cornerRadius)}px`);
             }
-            html = `${indent}<img class="${className}" data-figma-id="${node.id}" src="${imageUrl}" alt="${node.name}" style="${imgStyles.join('; ')}" />`;
+            html = indent + this.generateImageHTML(node, className, imageUrl, node.name, imgStyles.join('; '));
           } else {
-            const rectStyle = this.translateRectangleStyle(node, parentHasAutoLayout);
+            const rectStyle = this.translateRectangleStyle(node, parent);
             html = `${indent}<div class="${className}" data-figma-id="${node.id}" style="${rectStyle}"></div>`;
           }
         }
         break;
         
       case 'TEXT':
-        const textStyle = this.translateTextStyle(node, parentHasAutoLayout);
+        const textStyle = this.translateTextStyle(node, parent);
         const textTag = this.getTextTag(node);
-        html = `${indent}<${textTag} class="${className}" data-figma-id="${node.id}" style="${textStyle}">${node.characters || ''}</${textTag}>`;
+        html = this.renderTextElement(node, textTag, `class="${className}" data-figma-id="${node.id}" style="${textStyle}"`, indent);
         break;
         
       case 'GROUP':
+        // Groups never have Auto Layout - their children are placed absolutely inside them
         const groupChildren = node.children ? 
-          node.children.map(child => this.translateNodeToHTML(child, depth + 1, parentHasAutoLayout)).join('\n') : '';
+          node.children.map(child => this.translateNodeToHTML(child, depth + 1, node)).join('\n') : '';
         html = `${indent}<div class="${className}" data-figma-id="${node.id}">
 ${groupChildren}
 ${indent}</div>`;
@@ -978,13 +1730,13 @@ ${indent}</div>`;
       
       case 'ELLIPSE':
         // Render ellipse as CSS (border-radius: 50%)
-        const ellipseStyle = this.translateEllipseStyle(node, parentHasAutoLayout);
+        const ellipseStyle = this.translateEllipseStyle(node, parent);
         html = `${indent}<div class="${className}" data-figma-id="${node.id}" style="${ellipseStyle}"></div>`;
         break;
         
       case 'LINE':
         // Render line as CSS border
-        const lineStyle = this.translateLineStyle(node, parentHasAutoLayout);
+        const lineStyle = this.translateLineStyle(node, parent);
         html = `${indent}<div class="${className}" data-figma-id="${node.id}" style="${lineStyle}"></div>`;
         break;
         
@@ -996,14 +1748,14 @@ ${indent}</div>`;
         const svgCode = this.getSvgContent(node.id);
         if (svgCode) {
           // Embed inline SVG with class and data attributes, using Figma sizing
-          const styledSvg = this.processSvg(svgCode, className, node.id, node);
+          const styledSvg = this.processSvg(svgCode, className, node.id, node, parent);
           html = `${indent}${styledSvg}`;
         } else {
           // Fallback to img tag if SVG content not available
-          const vectorStyle = this.translateVectorStyle(node, parentHasAutoLayout);
+          const vectorStyle = this.translateVectorStyle(node, parent);
           const vectorUrl = this.getImageUrl(node.id);
           if (vectorUrl) {
-            html = `${indent}<img class="${className}" data-figma-id="${node.id}" src="${vectorUrl}" alt="" style="${vectorStyle}" />`;
+            html = indent + this.generateImageHTML(node, className, vectorUrl, '', vectorStyle);
           } else {
             html = `${indent}<div class="${className}" data-figma-id="${node.id}" style="${vectorStyle}"></div>`;
           }
@@ -1013,16 +1765,14 @@ ${indent}</div>`;
       case 'INSTANCE':
       case 'COMPONENT':
         // Component instances - render children or as image
-        // Check if this instance has an IMAGE fill - render as <img> directly
+        // Check if this instance only paints an IMAGE fill - render as <img> directly
         // This handles patterns like .Aspect Ratio Spacer where the image is a fill on the instance
-        const instanceHasImageFill = node.fills && node.fills.some(f => f.type === 'IMAGE' && f.visible !== false);
-        const instanceImageUrl = this.getImageUrl(node.id);
-        if (instanceHasImageFill && instanceImageUrl) {
-          const imgStyles = [];
-          const sizingH = node.layoutSizingHorizontal || 'FIXED';
-          const sizingV = node.layoutSizingVertical || 'FIXED';
+        const instanceImageUrl = this.getSoleImageUrl(node);
+        if (instanceImageUrl) {
+          const fill = this.getFillSizing(node, parent);
+          const imgStyles = [...fill.styles];
           const bbox = node.absoluteBoundingBox;
-          if (sizingH === 'FILL') {
+          if (fill.horizontal) {
             imgStyles.push('width: 100%');
           } else if (bbox) {
             imgStyles.push(`width: ${this.round(bbox.width)}px`);
@@ -1033,7 +1783,7 @@ ${indent}</div>`;
             const ratio = (bbox.width / bbox.height).toFixed(4);
             imgStyles.push(`aspect-ratio: ${ratio}`);
           }
-          if (sizingV === 'FILL') {
+          if (fill.vertical) {
             imgStyles.push('height: 100%');
           } else {
             imgStyles.push('height: auto');
@@ -1043,18 +1793,19 @@ ${indent}</div>`;
           if (node.cornerRadius) {
             imgStyles.push(`border-radius: ${this.round(node.cornerRadius)}px`);
           }
-          html = `${indent}<img class="${className}" data-figma-id="${node.id}" src="${instanceImageUrl}" alt="${node.name}" style="${imgStyles.join('; ')}" />`;
+          html = indent + this.generateImageHTML(node, className, instanceImageUrl, node.name, imgStyles.join('; '));
         } else {
-          const instanceStyle = this.translateAutoLayoutToCSS(node);
+          const instanceStyle = this.translateAutoLayoutToCSS(node, parent);
           if (node.children && node.children.length > 0) {
-            const instanceChildren = node.children.map(child => this.translateNodeToHTML(child, depth + 1, nodeHasAutoLayout)).join('\n');
+            const instanceChildren = node.children.map(child => this.translateNodeToHTML(child, depth + 1, node)).join('\n');
             html = `${indent}<div class="${className}" data-figma-id="${node.id}" style="${instanceStyle}">
 ${instanceChildren}
 ${indent}</div>`;
           } else {
-            const instanceUrl2 = this.getImageUrl(node.id);
+            // An image fill's URL is already a background layer in instanceStyle
+            const instanceUrl2 = this.hasImageFill(node) ? null : this.getImageUrl(node.id);
             if (instanceUrl2) {
-              html = `${indent}<img class="${className}" data-figma-id="${node.id}" src="${instanceUrl2}" alt="${node.name}" style="${instanceStyle}" />`;
+              html = indent + this.generateImageHTML(node, className, instanceUrl2, node.name, instanceStyle);
             } else {
               html = `${indent}<div class="${className}" data-figma-id="${node.id}" style="${instanceStyle}"></div>`;
             }
@@ -1064,23 +1815,234 @@ ${indent}</div>`;
         
       default:
         const defaultChildren = node.children ? 
-          node.children.map(child => this.translateNodeToHTML(child, depth + 1, parentHasAutoLayout)).join('\n') : '';
+          node.children.map(child => this.translateNodeToHTML(child, depth + 1, node)).join('\n') : '';
         html = `${indent}<div class="${className}" data-figma-id="${node.id}">
 ${defaultChildren}
 ${indent}</div>`;
     }
     
-    return html;
+    // Containers without Auto Layout (and absolutely placed children) are positioned,
+    // and layer opacity/blending applied, here for every node type rather than in each
+    // translate*Style method
+    const positionCSS = this.getPositionStyles(node, parent);
+    const layoutCSS = [
+      this.getContainerStyles(node, !!positionCSS),
+      positionCSS,
+      this.getGridChildStyles(node, parent),
+      this.getLayerStyles(node)
+    ].filter(Boolean).join('; ');
+    return this.addRootStyles(html, layoutCSS);
+  }
+  
+  // Layer opacity and blend mode, which apply to the node and everything inside it. When
+  // a fill is all the layer paints (getSoleFill), an image fill's opacity and the fill's
+  // blend mode go here too - CSS can't fade or blend a background layer on its own
+  getLayerStyles(node) {
+    const styles = [];
+    const fill = this.getSoleFill(node);
+    let opacity = node.opacity ?? 1;
+    if (fill && fill.type === 'IMAGE') opacity *= fill.opacity ?? 1;
+    if (opacity < 1) {
+      styles.push(`opacity: ${Math.round(opacity * 100) / 100}`);
+    }
+    let blendMode = this.getCSSBlendMode(node.blendMode);
+    if (fill && blendMode === 'normal') blendMode = this.getCSSBlendMode(fill.blendMode);
+    if (blendMode !== 'normal') styles.push(`mix-blend-mode: ${blendMode}`);
+    return styles.join('; ');
+  }
+  
+  // A layer's single visible fill when nothing else is painted with it - no visible
+  // children or strokes - so the fill's opacity and blend mode can go on the element.
+  // Text fills color the glyphs and are styled by translateTextStyle
+  getSoleFill(node) {
+    if (node.type === 'TEXT') return null;
+    const visible = list => (list || []).filter(item => item.visible !== false);
+    const fills = visible(node.fills);
+    if (fills.length !== 1 || visible(node.children).length > 0) return null;
+    if (node.strokeWeight && visible(node.strokes).length > 0) return null;
+    return fills[0];
+  }
+  
+  // Image URL for a layer whose sole fill (getSoleFill) is an image, so it can be a plain <img>
+  getSoleImageUrl(node) {
+    const fill = this.getSoleFill(node);
+    return fill && fill.type === 'IMAGE' ? this.getImageUrl(node.id) : null;
+  }
+  
+  // CSS blend mode for a Figma blendMode. PASS_THROUGH (the default for groups and frames)
+  // is normal blending; the linear modes have no CSS equivalent and use the closest one
+  getCSSBlendMode(blendMode) {
+    const blendMap = {
+      'MULTIPLY': 'multiply', 'SCREEN': 'screen', 'OVERLAY': 'overlay',
+      'DARKEN': 'darken', 'LIGHTEN': 'lighten',
+      'COLOR_DODGE': 'color-dodge', 'LINEAR_DODGE': 'color-dodge',
+      'COLOR_BURN': 'color-burn', 'LINEAR_BURN': 'color-burn',
+      'HARD_LIGHT': 'hard-light', 'SOFT_LIGHT': 'soft-light',
+      'DIFFERENCE': 'difference', 'EXCLUSION': 'exclusion',
+      'HUE': 'hue', 'SATURATION': 'saturation', 'COLOR': 'color', 'LUMINOSITY': 'luminosity'
+    };
+    return blendMap[blendMode] || 'normal';
+  }
+  
+  // Figma reports frames without Auto Layout as layoutMode NONE, or leaves it out
+  hasAutoLayout(node) {
+    return !!node.layoutMode && node.layoutMode !== 'NONE';
+  }
+  
+  // Which dimensions of a child are sized by its Auto Layout parent, and the CSS for it.
+  // FILL (or layoutGrow: 1 / layoutAlign: STRETCH in older files) along the parent's
+  // direction shares the free space - flex: 1 1 0 - and across it stretches - align-self: stretch.
+  // Grid cells stretch their children by default. Returns { horizontal, vertical, styles }
+  getFillSizing(node, parent) {
+    const fillsH = node.layoutSizingHorizontal === 'FILL';
+    const fillsV = node.layoutSizingVertical === 'FILL';
+    if (!parent || !this.hasAutoLayout(parent) || node.layoutPositioning === 'ABSOLUTE') {
+      return { horizontal: false, vertical: false, styles: [] };
+    }
+    if (parent.layoutMode === 'GRID') {
+      return { horizontal: fillsH, vertical: fillsV, styles: [] };
+    }
+    
+    const horizontalParent = parent.layoutMode !== 'VERTICAL';
+    const grows = (horizontalParent ? fillsH : fillsV) || node.layoutGrow === 1;
+    const stretches = (horizontalParent ? fillsV : fillsH) || node.layoutAlign === 'STRETCH';
+    const styles = [];
+    if (grows) styles.push('flex: 1 1 0');
+    if (stretches) styles.push('align-self: stretch');
+    return {
+      horizontal: horizontalParent ? grows : stretches,
+      vertical: horizontalParent ? stretches : grows,
+      styles
+    };
+  }
+  
+  // Whether Figma places this child at fixed coordinates in its parent rather than in the flow:
+  // every child of a frame/group without Auto Layout, and Auto Layout children set to ABSOLUTE
+  isAbsolutelyPositioned(node, parent) {
+    if (!parent || !node.absoluteBoundingBox || !parent.absoluteBoundingBox) return false;
+    return !this.hasAutoLayout(parent) || node.layoutPositioning === 'ABSOLUTE';
+  }
+  
+  // A node whose children are absolutely positioned becomes their containing block
+  // (already true when it is positioned itself). Groups get their size from the
+  // bounding box since no other style sets one
+  getContainerStyles(node, positioned = false) {
+    const children = (node.children || []).filter(child => child.visible !== false);
+    if (!children.some(child => this.isAbsolutelyPositioned(child, node))) return '';
+    
+    const styles = [];
+    if (node.type === 'GROUP' && node.absoluteBoundingBox) {
+      styles.push(`width: ${this.round(node.absoluteBoundingBox.width)}px`);
+      styles.push(`height: ${this.round(node.absoluteBoundingBox.height)}px`);
+    }
+    if (!positioned) styles.push('position: relative');
+    return styles.join('; ');
+  }
+  
+  // Place an absolutely positioned child relative to its parent's bounding box, following
+  // its constraints so it stretches or re-anchors when the parent is resized
+  getPositionStyles(node, parent) {
+    if (!this.isAbsolutelyPositioned(node, parent)) return '';
+    const bbox = node.absoluteBoundingBox;
+    const parentBox = parent.absoluteBoundingBox;
+    const constraints = node.constraints || {};
+    return [
+      'position: absolute',
+      ...this.getConstraintStyles(constraints.horizontal, bbox.x - parentBox.x, bbox.width, parentBox.width, ['left', 'right', 'width']),
+      ...this.getConstraintStyles(constraints.vertical, bbox.y - parentBox.y, bbox.height, parentBox.height, ['top', 'bottom', 'height'])
+    ].join('; ');
+  }
+  
+  // CSS for one axis of a Figma constraint, given the child's offset and size and the
+  // parent's size along it. props names the axis: [start, end, size] e.g. [left, right, width]
+  // - LEFT/TOP (default) pins the start edge, RIGHT/BOTTOM the end edge
+  // - LEFT_RIGHT/TOP_BOTTOM pins both edges and lets the size follow the parent
+  // - CENTER keeps the offset from the parent's center: calc(50% ± offset)
+  // - SCALE keeps position and size as percentages of the parent
+  getConstraintStyles(constraint, offset, size, parentSize, props) {
+    const [start, end, dimension] = props;
+    const endOffset = parentSize - offset - size;
+    const percent = value => `${Math.round(value / parentSize * 10000) / 100}%`;
+    
+    switch (constraint) {
+      case 'RIGHT':
+      case 'BOTTOM':
+        return [`${end}: ${this.round(endOffset)}px`];
+      case 'LEFT_RIGHT':
+      case 'TOP_BOTTOM':
+        return [`${start}: ${this.round(offset)}px`, `${end}: ${this.round(endOffset)}px`, `${dimension}: auto`];
+      case 'CENTER': {
+        const fromCenter = this.round(offset - parentSize / 2);
+        return [`${start}: calc(50% ${fromCenter < 0 ? '-' : '+'} ${Math.abs(fromCenter)}px)`];
+      }
+      case 'SCALE':
+        return parentSize > 0
+          ? [`${start}: ${percent(offset)}`, `${dimension}: ${percent(size)}`]
+          : [`${start}: ${this.round(offset)}px`];
+      default:
+        return [`${start}: ${this.round(offset)}px`];
+    }
+  }
+  
+  // Append CSS to the style of the root element of rendered HTML (adding a style attribute
+  // if it has none). A display: contents <picture> generates no box - its <img> is the
+  // layout child and gets the CSS - unless the picture has to become a box to be positioned
+  addRootStyles(html, css) {
+    if (!css || !html) return html;
+    const rootTag = html.match(/<([a-zA-Z][\w-]*)([^>]*?)(\s*\/?)>/);
+    if (!rootTag) return html;
+    
+    if (rootTag[1] === 'picture' && rootTag[2].includes('display: contents')) {
+      if (/position: absolute/.test(css)) {
+        return this.addTagStyles(html.replace('display: contents', 'display: block'), rootTag, css);
+      }
+      const imgTag = html.match(/<(img)([^>]*?)(\s*\/?)>/);
+      if (imgTag) return this.addTagStyles(html, imgTag, css);
+    }
+    return this.addTagStyles(html, rootTag, css);
+  }
+  
+  // Append CSS to the style attribute of one matched tag: [tag, name, attrs, close]
+  addTagStyles(html, tagMatch, css) {
+    const [tag, name, attrs, close] = tagMatch;
+    let newAttrs;
+    const styleMatch = attrs.match(/\sstyle="([^"]*)"/);
+    if (styleMatch) {
+      const style = styleMatch[1].trim().replace(/;$/, '');
+      newAttrs = attrs.replace(styleMatch[0], ` style="${style ? style + '; ' : ''}${css}"`);
+    } else {
+      newAttrs = `${attrs} style="${css}"`;
+    }
+    return html.slice(0, tagMatch.index) + `<${name}${newAttrs}${close}>` + html.slice(tagMatch.index + tag.length);
   }
 
-  translateEllipseStyle(node, parentHasAutoLayout = false) {
+  // <img> for an image layer. In a responsive export it becomes a <picture> with AVIF/WebP
+  // sources, a 1x/2x srcset, the layer's intrinsic size and lazy loading
+  generateImageHTML(node, className, src, alt, style) {
+    const responsive = this.responsiveImages?.[node.id];
+    if (!responsive) {
+      return `<img class="${className}" data-figma-id="${node.id}" src="${src}" alt="${alt}" style="${style}" />`;
+    }
+    
+    const imgAttrs = `src="${responsive.src}" srcset="${responsive.srcset}" sizes="${responsive.sizes}" width="${responsive.width}" height="${responsive.height}" loading="lazy" decoding="async" alt="${alt}" style="${style}"`;
+    if (responsive.sources.length === 0) {
+      return `<img class="${className}" data-figma-id="${node.id}" ${imgAttrs} />`;
+    }
+    // display: contents keeps the <img> as the layout child
+    const sources = responsive.sources.map(source => `<source type="${source.type}" srcset="${source.srcset}" sizes="${responsive.sizes}" />`).join('');
+    return `<picture data-figma-id="${node.id}" style="display: contents">${sources}<img class="${className}" ${imgAttrs} /></picture>`;
+  }
+  
+  translateEllipseStyle(node, parent = null) {
     const styles = [];
     const bbox = node.absoluteBoundingBox;
+    const fill = this.getFillSizing(node, parent);
+    styles.push(...fill.styles);
     
     // Size
     if (bbox) {
-      styles.push(`width: ${this.round(bbox.width)}px`);
-      styles.push(`height: ${this.round(bbox.height)}px`);
+      if (!fill.horizontal) styles.push(`width: ${this.round(bbox.width)}px`);
+      if (!fill.vertical) styles.push(`height: ${this.round(bbox.height)}px`);
     }
     
     // Make it circular/elliptical
@@ -1120,38 +2082,48 @@ ${indent}</div>`;
     return styles.join('; ');
   }
   
-  translateLineStyle(node, parentHasAutoLayout = false) {
+  translateLineStyle(node, parent = null) {
     const styles = [];
     const bbox = node.absoluteBoundingBox;
+    const fill = this.getFillSizing(node, parent);
+    styles.push(...fill.styles);
     
     if (bbox) {
-      styles.push(`width: ${this.round(bbox.width)}px`);
-      styles.push(`height: ${this.round(bbox.height)}px`);
+      if (!fill.horizontal) styles.push(`width: ${this.round(bbox.width)}px`);
+      if (!fill.vertical) styles.push(`height: ${this.round(bbox.height)}px`);
     }
     
     // Line is typically rendered as a border
-    if (node.strokes && node.strokes.length > 0) {
-      const stroke = node.strokes.find(s => s.visible !== false);
-      if (stroke && stroke.type === 'SOLID' && stroke.color) {
-        const r = Math.round(stroke.color.r * 255);
-        const g = Math.round(stroke.color.g * 255);
-        const b = Math.round(stroke.color.b * 255);
-        const a = stroke.opacity !== undefined ? stroke.opacity : 1;
-        const weight = node.strokeWeight || 1;
-        styles.push(`border-bottom: ${this.round(weight)}px solid rgba(${r},${g},${b},${a})`);
+    const stroke = (node.strokes || []).find(s => s.visible !== false);
+    if (stroke) {
+      const weight = this.round(node.strokeWeight || 1);
+      const dash = this.getStrokeDashStyle(node, weight);
+      const borderStyle = dash === 'custom' ? 'dashed' : dash;
+      if (stroke.type === 'SOLID' && stroke.color) {
+        if (dash === 'custom') {
+          this.recordCompileWarning(node.id, `Stroke dash pattern [${node.strokeDashes.join(', ')}] can't be drawn on lines - the line is evenly dashed`);
+        }
+        styles.push(`border-bottom: ${weight}px ${borderStyle} ${this.getSolidFillColor(node, stroke, 'strokes')}`);
+      } else if (this.getStrokeGradient(stroke)) {
+        styles.push(`border-bottom: ${weight}px solid`);
+        styles.push(`border-image: ${this.getStrokeGradient(stroke)} 1`);
+      } else if (stroke.type !== 'SOLID') {
+        this.recordCompileWarning(node.id, `${stroke.type} strokes have no CSS equivalent - the line is skipped`);
       }
     }
     
     return styles.join('; ');
   }
   
-  translateVectorStyle(node, parentHasAutoLayout = false) {
+  translateVectorStyle(node, parent = null) {
     const styles = [];
     const bbox = node.absoluteBoundingBox;
+    const fill = this.getFillSizing(node, parent);
+    styles.push(...fill.styles);
     
     if (bbox) {
-      styles.push(`width: ${this.round(bbox.width)}px`);
-      styles.push(`height: ${this.round(bbox.height)}px`);
+      if (!fill.horizontal) styles.push(`width: ${this.round(bbox.width)}px`);
+      if (!fill.vertical) styles.push(`height: ${this.round(bbox.height)}px`);
     }
     
     // For complex vectors rendered as SVG images
@@ -1160,15 +2132,16 @@ ${indent}</div>`;
     return styles.join('; ');
   }
   
-  translateVideoStyle(node, parentHasAutoLayout = false) {
+  translateVideoStyle(node, parent = null) {
     const styles = [];
     const bbox = node.absoluteBoundingBox;
     const sizingH = node.layoutSizingHorizontal || 'FIXED';
     const sizingV = node.layoutSizingVertical || 'FIXED';
+    const fill = this.getFillSizing(node, parent);
+    styles.push(...fill.styles);
     
     // Width
-    if (sizingH === 'FILL') {
-      styles.push('flex: 1');
+    if (fill.horizontal) {
       styles.push('width: 100%');
     } else if (sizingH === 'HUG') {
       // Don't set width
@@ -1177,8 +2150,7 @@ ${indent}</div>`;
     }
     
     // Height
-    if (sizingV === 'FILL') {
-      styles.push('flex-grow: 1');
+    if (fill.vertical) {
       styles.push('height: 100%');
     } else if (sizingV === 'HUG') {
       // Don't set height
@@ -1197,68 +2169,273 @@ ${indent}</div>`;
     return styles.join('; ');
   }
   
+  // Figma stacks fills bottom to top. A single fill keeps the simple form (background-color,
+  // background-image or a gradient); several become layered background shorthand, topmost
+  // first, with the bottom solid fill as the background color
   applyFillStyles(node, styles) {
-    if (node.fills && node.fills.length > 0) {
-      const fill = node.fills.find(f => f.visible !== false);
-      if (fill) {
-        if (fill.type === 'SOLID' && fill.color) {
-          const r = Math.round(fill.color.r * 255);
-          const g = Math.round(fill.color.g * 255);
-          const b = Math.round(fill.color.b * 255);
-          const a = fill.opacity !== undefined ? fill.opacity : (fill.color.a ?? 1);
-          styles.push(`background-color: rgba(${r}, ${g}, ${b}, ${a})`);
-        } else if (fill.type === 'IMAGE') {
-          // Image fill - use the fetched image URL
-          const imageUrl = this.getImageUrl(node.id);
-          if (imageUrl) {
-            styles.push(`background-image: url('${imageUrl}')`);
-            styles.push('background-size: cover');
-            styles.push('background-position: center');
-            // Handle image scale mode
-            if (fill.scaleMode === 'FIT') {
-              styles.push('background-size: contain');
-              styles.push('background-repeat: no-repeat');
-            } else if (fill.scaleMode === 'TILE') {
-              styles.push('background-size: auto');
-              styles.push('background-repeat: repeat');
-            }
+    const fills = (node.fills || []).filter(fill => fill.visible !== false);
+    if (fills.length === 0) return;
+    
+    if (fills.length === 1) {
+      const fill = fills[0];
+      // A sole fill's image opacity and blend mode are applied by getLayerStyles
+      if (!this.getSoleFill(node)) {
+        if (fill.type === 'IMAGE') this.warnImageFillOpacity(node, fill);
+        if (this.getCSSBlendMode(fill.blendMode) !== 'normal') {
+          this.recordCompileWarning(node.id, `Fill blend mode ${fill.blendMode} is only applied to layers without children or strokes - the fill blends normally`);
+        }
+      }
+      if (fill.type === 'SOLID' && fill.color) {
+        styles.push(`background-color: ${this.getSolidFillColor(node, fill)}`);
+      } else if (fill.type === 'IMAGE') {
+        // Image fill - use the fetched image URL
+        const imageUrl = this.getImageUrl(node.id);
+        if (imageUrl) {
+          styles.push(`background-image: url('${imageUrl}')`);
+          styles.push('background-size: cover');
+          styles.push('background-position: center');
+          // Handle image scale mode
+          if (fill.scaleMode === 'FIT') {
+            styles.push('background-size: contain');
+            styles.push('background-repeat: no-repeat');
+          } else if (fill.scaleMode === 'TILE') {
+            styles.push('background-size: auto');
+            styles.push('background-repeat: repeat');
           }
-        } else if (fill.type && fill.type.includes('GRADIENT')) {
-          const gradient = this.applyGradient(fill);
-          if (gradient) styles.push(`background: ${gradient}`);
         }
+      } else if (fill.type && fill.type.includes('GRADIENT')) {
+        const gradient = this.applyGradient(fill);
+        if (gradient) styles.push(`background: ${gradient}`);
       }
+      return;
+    }
+    
+    const layers = []; // { value, blendMode, count } topmost first
+    let backgroundColor = null;
+    fills.forEach((fill, index) => {
+      let value = null;
+      if (fill.type === 'SOLID' && fill.color) {
+        const color = this.getSolidFillColor(node, fill);
+        // Only the bottom layer can be a plain color, others become a flat gradient
+        if (index === 0) {
+          backgroundColor = color;
+          return;
+        }
+        value = `linear-gradient(${color}, ${color})`;
+      } else if (fill.type === 'IMAGE') {
+        // Layers can't be faded individually
+        this.warnImageFillOpacity(node, fill);
+        const imageUrl = this.getImageUrl(node.id);
+        const sizing = { 'FIT': 'center / contain no-repeat', 'TILE': '0 0 / auto repeat' };
+        if (imageUrl) value = `url('${imageUrl}') ${sizing[fill.scaleMode] || 'center / cover no-repeat'}`;
+      } else if (fill.type && fill.type.includes('GRADIENT')) {
+        value = this.applyGradient(fill) || null;
+      }
+      if (value) {
+        // A diamond gradient is four background layers
+        const count = fill.type === 'GRADIENT_DIAMOND' ? 4 : 1;
+        layers.unshift({ value, blendMode: this.getCSSBlendMode(fill.blendMode), count });
+      }
+    });
+    
+    const background = layers.map(layer => layer.value);
+    if (backgroundColor) background.push(backgroundColor);
+    if (background.length === 0) return;
+    styles.push(`background: ${background.join(', ')}`);
+    
+    if (layers.some(layer => layer.blendMode !== 'normal')) {
+      const blendModes = layers.flatMap(layer => Array(layer.count).fill(layer.blendMode));
+      styles.push(`background-blend-mode: ${blendModes.join(', ')}`);
     }
   }
   
+  // Background layers can't be faded individually, so a faded image fill is drawn opaque
+  warnImageFillOpacity(node, fill) {
+    if (fill.opacity === undefined || fill.opacity >= 1) return;
+    this.recordCompileWarning(node.id, `Image fill opacity (${Math.round(fill.opacity * 100)}%) is only applied to layers with no other fills, children or strokes - the image is drawn opaque`);
+  }
+  
+  // CSS color of a SOLID fill (or stroke, with property 'strokes'), including the paint's
+  // opacity. A variable only carries the color itself, so the literal is kept when the fill is faded
+  getSolidFillColor(node, fill, property = 'fills') {
+    const fallbackColor = this.getPaintRGBA(fill);
+    return fill.opacity === undefined || fill.opacity === 1
+      ? this.getFillVariableValue(node, fill, fallbackColor, property)
+      : fallbackColor;
+  }
+  
+  // rgba() of a SOLID paint with its opacity applied
+  getPaintRGBA(paint) {
+    const r = Math.round(paint.color.r * 255);
+    const g = Math.round(paint.color.g * 255);
+    const b = Math.round(paint.color.b * 255);
+    const a = Math.round((paint.color.a ?? 1) * (paint.opacity ?? 1) * 1000) / 1000;
+    return `rgba(${r}, ${g}, ${b}, ${a})`;
+  }
+  
+  // Figma strokes don't change a layer's size, so how they're drawn depends on strokeAlign:
+  // - INSIDE (the default) is a border, which box-sizing: border-box keeps inside the size
+  // - OUTSIDE and CENTER are an outline (offset by half the weight for CENTER); with
+  //   individualStrokeWeights, box-shadows outside each stroked side (CENTER puts half
+  //   of each side's weight in the border)
+  // Even strokeDashes become dashed or dotted. Other dash patterns on an evenly weighted
+  // INSIDE stroke are drawn as an SVG background layer, elsewhere they fall back to dashed.
+  // Gradient strokes use border-image, which is always inside and ignores border-radius.
+  // What a stroke loses this way is recorded as a compile warning
   applyStrokeStyles(node, styles) {
-    if (node.strokeWeight && node.strokes && node.strokes.length > 0) {
-      const stroke = node.strokes.find(s => s.visible !== false);
-      if (stroke && stroke.type === 'SOLID' && stroke.color) {
-        const r = Math.round(stroke.color.r * 255);
-        const g = Math.round(stroke.color.g * 255);
-        const b = Math.round(stroke.color.b * 255);
-        const a = stroke.opacity !== undefined ? stroke.opacity : (stroke.color.a ?? 1);
-        styles.push(`border: ${this.round(node.strokeWeight)}px solid rgba(${r}, ${g}, ${b}, ${a})`);
+    const stroke = (node.strokes || []).find(s => s.visible !== false);
+    const sides = this.getStrokeWeights(node);
+    if (!stroke || !sides) return;
+    
+    const weights = [sides.top, sides.right, sides.bottom, sides.left];
+    const uniform = weights.every(weight => weight === sides.top);
+    const align = node.strokeAlign || 'INSIDE';
+    const dash = this.getStrokeDashStyle(node, Math.max(...weights));
+    const borderStyle = dash === 'custom' ? 'dashed' : dash;
+    const px = weight => `${this.round(weight)}px`;
+    
+    if (stroke.type !== 'SOLID') {
+      const gradient = this.getStrokeGradient(stroke);
+      if (!gradient) {
+        this.recordCompileWarning(node.id, `${stroke.type} strokes have no CSS equivalent - the stroke is skipped`);
+        return;
       }
+      const lost = [];
+      if (align !== 'INSIDE') lost.push(`${align} alignment`);
+      if (node.cornerRadius || node.type === 'ELLIPSE') lost.push('rounded corners');
+      if (dash !== 'solid') lost.push('dashes');
+      if (lost.length > 0) {
+        this.recordCompileWarning(node.id, `Gradient strokes are drawn as a solid border inside the layer with square corners - the stroke's ${lost.join(', ')} are not reproduced`);
+      }
+      styles.push('border-style: solid');
+      styles.push(`border-width: ${uniform ? px(sides.top) : weights.map(px).join(' ')}`);
+      styles.push(`border-image: ${gradient} 1`);
+      return;
     }
+    if (!stroke.color) return;
+    if (dash === 'custom' && !(align === 'INSIDE' && uniform)) {
+      this.recordCompileWarning(node.id, `Stroke dash pattern [${node.strokeDashes.join(', ')}] is only drawn on evenly weighted INSIDE strokes - the stroke is evenly dashed`);
+    }
+    
+    const color = this.getSolidFillColor(node, stroke, 'strokes');
+    const pushBorder = scale => {
+      if (uniform) {
+        styles.push(`border: ${px(sides.top * scale)} ${borderStyle} ${color}`);
+        return;
+      }
+      // Per-side weights, e.g. a divider's or an input's bottom-only stroke
+      styles.push(`border: 0 ${borderStyle} ${color}`);
+      ['top', 'right', 'bottom', 'left'].forEach(side => {
+        if (sides[side] > 0) styles.push(`border-${side}-width: ${px(sides[side] * scale)}`);
+      });
+    };
+    
+    if (align === 'INSIDE') {
+      if (dash === 'custom' && uniform) {
+        this.addBackgroundLayer(styles, this.getDashedStrokeImage(node, stroke, sides.top));
+      } else {
+        pushBorder(1);
+      }
+    } else if (uniform) {
+      styles.push(`outline: ${px(sides.top)} ${borderStyle} ${color}`);
+      if (align === 'CENTER') styles.push(`outline-offset: -${px(sides.top / 2)}`);
+    } else if (dash !== 'solid') {
+      // Shadows can't be dashed - keep the dashes and draw the stroke inside
+      pushBorder(1);
+    } else {
+      const outside = align === 'CENTER' ? 0.5 : 1;
+      if (align === 'CENTER') pushBorder(0.5);
+      // An outer box-shadow is only painted outside the box, so shifting it out by a
+      // side's weight leaves a strip along that side
+      const offsets = { top: [0, -1], right: [1, 0], bottom: [0, 1], left: [-1, 0] };
+      const shadows = Object.entries(offsets)
+        .filter(([side]) => sides[side] > 0)
+        .map(([side, [x, y]]) => `${px(x * sides[side] * outside)} ${px(y * sides[side] * outside)} 0 0 ${color}`);
+      this.addBoxShadow(styles, shadows.join(', '));
+    }
+  }
+  
+  // { top, right, bottom, left } stroke weights (individualStrokeWeights or strokeWeight),
+  // or null when nothing is stroked
+  getStrokeWeights(node) {
+    const individual = node.individualStrokeWeights;
+    const weight = node.strokeWeight || 0;
+    const sides = individual
+      ? { top: individual.top || 0, right: individual.right || 0, bottom: individual.bottom || 0, left: individual.left || 0 }
+      : { top: weight, right: weight, bottom: weight, left: weight };
+    return Object.values(sides).some(value => value > 0) ? sides : null;
+  }
+  
+  // CSS border style for strokeDashes: no dashes is solid, dashes no longer than the stroke
+  // is thick are dotted, equal dashes and gaps are dashed. Other patterns are 'custom'
+  getStrokeDashStyle(node, weight) {
+    const dashes = node.strokeDashes || [];
+    if (dashes.length === 0) return 'solid';
+    // Like SVG's stroke-dasharray, an odd-length list repeats to make dash/gap pairs
+    const pattern = dashes.length % 2 ? [...dashes, ...dashes] : dashes;
+    const [dash, gap] = pattern;
+    if (!pattern.every((value, i) => value === (i % 2 ? gap : dash))) return 'custom';
+    if (dash <= weight) return 'dotted';
+    return dash === gap ? 'dashed' : 'custom';
+  }
+  
+  // CSS gradient for a gradient stroke's border-image - a diamond gradient needs several
+  // background layers, which border-image can't take
+  getStrokeGradient(stroke) {
+    if (!stroke.type || !stroke.type.includes('GRADIENT') || stroke.type === 'GRADIENT_DIAMOND') return null;
+    return this.applyGradient(stroke) || null;
+  }
+  
+  // SVG background image drawing a dashed INSIDE stroke along the layer's edge. The stroke is
+  // twice the weight, centered on the edge, and the image cuts off the half outside
+  getDashedStrokeImage(node, stroke, weight) {
+    const radius = node.type === 'ELLIPSE' ? '50%' : this.round(node.cornerRadius || 0);
+    const caps = { ROUND: 'round', SQUARE: 'square' };
+    const linecap = caps[node.strokeCap] ? ` stroke-linecap="${caps[node.strokeCap]}"` : '';
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100%" height="100%">' +
+      `<rect width="100%" height="100%" rx="${radius}" ry="${radius}" fill="none" stroke="${this.getPaintRGBA(stroke)}" ` +
+      `stroke-width="${this.round(weight * 2)}" stroke-dasharray="${node.strokeDashes.join(' ')}"${linecap} /></svg>`;
+    return `url('data:image/svg+xml,${encodeURIComponent(svg)}')`;
+  }
+  
+  // Put an image on top of the background applyFillStyles emitted
+  addBackgroundLayer(styles, layer) {
+    const index = styles.findIndex(style => /^background(-image)?:/.test(style));
+    if (index === -1) {
+      styles.push(`background-image: ${layer}`);
+      return;
+    }
+    styles[index] = styles[index].replace(/^(background(?:-image)?): /, `$1: ${layer}, `);
+    const blendIndex = styles.findIndex(style => style.startsWith('background-blend-mode:'));
+    if (blendIndex !== -1) styles[blendIndex] = styles[blendIndex].replace(': ', ': normal, ');
+  }
+  
+  // Add shadows in front of any box-shadow already emitted (effects), so both show
+  addBoxShadow(styles, shadow) {
+    const index = styles.findIndex(style => style.startsWith('box-shadow:'));
+    if (index === -1) {
+      styles.push(`box-shadow: ${shadow}`);
+      return;
+    }
+    styles[index] = styles[index].replace('box-shadow: ', `box-shadow: ${shadow}, `);
   }
 
-  translateRectangleStyle(node, parentHasAutoLayout = false) {
+  translateRectangleStyle(node, parent = null) {
     const styles = [];
     
     // Sizing based on Figma's layoutSizingHorizontal/Vertical properties:
     // - FIXED = fixed dimensions from bounding box
     // - HUG = auto-size to content (rare for rectangles)
-    // - FILL = flex: 1 to fill available space
+    // - FILL = fill the parent, see getFillSizing
     const bbox = node.absoluteBoundingBox;
     const sizingH = node.layoutSizingHorizontal || 'FIXED';
     const sizingV = node.layoutSizingVertical || 'FIXED';
+    const fill = this.getFillSizing(node, parent);
+    styles.push(...fill.styles);
     
     // Width
-    if (sizingH === 'FILL') {
-      styles.push('flex: 1');
-      styles.push('align-self: stretch');
+    if (fill.horizontal) {
+      // Sized by the parent
     } else if (sizingH === 'HUG') {
       // Don't set width
     } else if (bbox) {
@@ -1266,8 +2443,8 @@ ${indent}</div>`;
     }
     
     // Height
-    if (sizingV === 'FILL') {
-      styles.push('flex-grow: 1');
+    if (fill.vertical) {
+      // Sized by the parent
     } else if (sizingV === 'HUG') {
       // Don't set height
     } else if (bbox) {
@@ -1288,19 +2465,19 @@ ${indent}</div>`;
       styles.push(`border-radius: ${this.round(node.cornerRadius)}px`);
     }
     
-    // Strokes/borders
-    this.applyStrokeStyles(node, styles);
-    
     // Effects
     if (node.effects && node.effects.length > 0) {
       const effectCSS = node.effects.map(e => this.applyEffect(e)).filter(Boolean);
       styles.push(...effectCSS);
     }
     
+    // Strokes/borders - after effects, so stroke shadows join theirs
+    this.applyStrokeStyles(node, styles);
+    
     return styles.join('; ');
   }
 
-  translateTextStyle(node, parentHasAutoLayout = false) {
+  translateTextStyle(node, parent = null) {
     const styles = [];
     
     // Reset browser default margins for semantic tags
@@ -1313,11 +2490,12 @@ ${indent}</div>`;
     const sizingH = node.layoutSizingHorizontal;
     const sizingV = node.layoutSizingVertical;
     const bbox = node.absoluteBoundingBox;
+    const fill = this.getFillSizing(node, parent);
+    styles.push(...fill.styles);
     
     // Width sizing
-    if (sizingH === 'FILL') {
-      styles.push('flex: 1');
-      styles.push('align-self: stretch');
+    if (fill.horizontal) {
+      // Sized by the parent
     } else if (sizingH === 'HUG' || textAutoResize === 'WIDTH_AND_HEIGHT') {
       // Hug - don't set width
     } else if (bbox) {
@@ -1326,8 +2504,8 @@ ${indent}</div>`;
     }
     
     // Height sizing
-    if (sizingV === 'FILL') {
-      styles.push('flex-grow: 1');
+    if (fill.vertical) {
+      // Sized by the parent
     } else if (sizingV === 'HUG' || textAutoResize === 'WIDTH_AND_HEIGHT' || textAutoResize === 'HEIGHT') {
       // Hug - don't set height
     } else if (bbox) {
@@ -1359,19 +2537,32 @@ ${indent}</div>`;
       
       // Font weight
       if (node.style.fontWeight) {
-        styles.push(`font-weight: ${node.style.fontWeight}`);
+        styles.push(`font-weight: ${this.getBoundVariableValue(node, 'fontWeight', node.style.fontWeight)}`);
       }
       
       // Italic detection - check italic flag or font style name
-      if (node.style.italic || 
+      const italic = !!(node.style.italic ||
           (node.style.fontPostScriptName && node.style.fontPostScriptName.toLowerCase().includes('italic')) ||
-          (node.style.fontStyle && node.style.fontStyle === 'ITALIC')) {
+          (node.style.fontStyle && node.style.fontStyle === 'ITALIC'));
+      if (italic) {
         styles.push(`font-style: italic`);
       }
+      this.usedFonts.add(node.style.fontFamily, node.style.fontWeight, italic);
+      
+      // Underline / strike-through
+      if (node.style.textDecoration && node.style.textDecoration !== 'NONE') {
+        styles.push(this.getTextDecorationStyle(node.style.textDecoration));
+      }
       
-      // Underline detection
-      if (node.style.textDecoration === 'UNDERLINE') {
-        styles.push(`text-decoration: underline`);
+      // Upper/lower/title case and small caps
+      if (node.style.textCase && node.style.textCase !== 'ORIGINAL') {
+        styles.push(this.getTextCaseStyle(node.style.textCase));
+      }
+      
+      // OpenType features, e.g. { LIGA: 0, TNUM: 1 } -> 'liga' 0, 'tnum' 1
+      const features = Object.entries(node.style.opentypeFlags || {});
+      if (features.length > 0) {
+        styles.push(`font-feature-settings: ${features.map(([tag, value]) => `'${tag.toLowerCase()}' ${value}`).join(', ')}`);
       }
       
       // Text alignment
@@ -1385,21 +2576,54 @@ ${indent}</div>`;
         styles.push(`text-align: ${alignMap[node.style.textAlignHorizontal] || 'left'}`);
       }
       
-      // Line height - check for percentage vs pixel
-      if (node.style.lineHeightPercentFontSize) {
-        styles.push(`line-height: ${node.style.lineHeightPercentFontSize}%`);
-      } else if (node.style.lineHeightPercent) {
-        styles.push(`line-height: ${node.style.lineHeightPercent}%`);
-      } else if (node.style.lineHeightPx) {
-        styles.push(`line-height: ${node.style.lineHeightPx}px`);
+      // Line height
+      const lineHeight = this.getLineHeightValue(node.style);
+      if (lineHeight) {
+        styles.push(`line-height: ${lineHeight}`);
       }
       
       // Letter spacing
-      if (node.style.letterSpacing) {
-        styles.push(`letter-spacing: ${node.style.letterSpacing}px`);
+      const letterSpacing = this.getLetterSpacingValue(node.style.letterSpacing);
+      if (letterSpacing) {
+        styles.push(`letter-spacing: ${letterSpacing}`);
+      }
+      
+      // First line indent of every paragraph
+      if (node.style.paragraphIndent) {
+        styles.push(`text-indent: ${this.round(node.style.paragraphIndent)}px`);
       }
     }
     
+    // Truncation - an ellipsis after the last line. Without maxLines a fixed-height box
+    // is cut off after the lines that fit in it
+    const truncation = node.style?.textTruncation || node.textTruncation;
+    const hugsHeight = sizingV === 'HUG' || textAutoResize === 'WIDTH_AND_HEIGHT' || textAutoResize === 'HEIGHT';
+    const fixedHeight = bbox && (fill.vertical || !hugsHeight);
+    const lineHeightPx = node.style?.lineHeightPx;
+    let maxLines = node.style?.maxLines || node.maxLines;
+    if (!maxLines && fixedHeight && lineHeightPx > 0) {
+      maxLines = Math.max(1, Math.floor((bbox.height + 0.5) / lineHeightPx));
+    }
+    if (truncation === 'ENDING') {
+      styles.push('overflow: hidden');
+      if (maxLines > 1) {
+        styles.push('display: -webkit-box');
+        styles.push('-webkit-box-orient: vertical');
+        styles.push(`-webkit-line-clamp: ${maxLines}`);
+      } else if (maxLines === 1 || !fixedHeight) {
+        styles.push('white-space: nowrap');
+        styles.push('text-overflow: ellipsis');
+      }
+    }
+    
+    // Vertical alignment inside a fixed-height text box (content is wrapped in one flex item)
+    const verticalAlign = this.getTextVerticalAlign(node);
+    if (verticalAlign) {
+      styles.push('display: flex');
+      styles.push('flex-direction: column');
+      styles.push(`justify-content: ${verticalAlign}`);
+    }
+    
     // Text color - check for bound variables on fills
     if (node.fills && node.fills.length > 0) {
       const fill = node.fills.find(f => f.type === 'SOLID' && f.visible !== false);
@@ -1413,7 +2637,7 @@ ${indent}</div>`;
           : `rgba(${r}, ${g}, ${b}, ${a})`;
         
         // Check if fills have bound variables
-        const colorValue = this.getBoundVariableValue(node, 'fills', fallbackColor);
+        const colorValue = this.getFillVariableValue(node, fill, fallbackColor);
         styles.push(`color: ${colorValue}`);
       }
     }
@@ -1421,6 +2645,69 @@ ${indent}</div>`;
     return styles.join('; ');
   }
 
+  getTextDecorationStyle(textDecoration) {
+    const decorationMap = { 'UNDERLINE': 'underline', 'STRIKETHROUGH': 'line-through' };
+    return `text-decoration: ${decorationMap[textDecoration] || 'none'}`;
+  }
+  
+  getTextCaseStyle(textCase) {
+    // Resets text-transform too, so a small caps run inside an UPPER layer isn't uppercased.
+    // SMALL_CAPS_FORCED turns capitals into small caps as well
+    if (textCase === 'SMALL_CAPS') return 'text-transform: none; font-variant-caps: small-caps';
+    if (textCase === 'SMALL_CAPS_FORCED') return 'text-transform: none; font-variant-caps: all-small-caps';
+    const caseMap = { 'UPPER': 'uppercase', 'LOWER': 'lowercase', 'TITLE': 'capitalize' };
+    return `text-transform: ${caseMap[textCase] || 'none'}`;
+  }
+  
+  // CSS line-height from a TypeStyle. lineHeightUnit says which field is the designer's value:
+  // PIXELS, FONT_SIZE_% (a multiple of the font size, unitless so runs of other sizes scale)
+  // or INTRINSIC_% (of the font's own line height - 100% is normal). Styled segments give
+  // lineHeight as { unit: AUTO | PIXELS | PERCENT, value }
+  getLineHeightValue(style) {
+    if (style.lineHeight && typeof style.lineHeight === 'object') {
+      const { unit, value } = style.lineHeight;
+      if (unit === 'PIXELS') return `${this.round(value)}px`;
+      if (unit === 'PERCENT') return `${Math.round(value) / 100}`;
+      return 'normal';
+    }
+    
+    switch (style.lineHeightUnit) {
+      case 'PIXELS':
+        return style.lineHeightPx ? `${this.round(style.lineHeightPx)}px` : null;
+      case 'FONT_SIZE_%':
+        return style.lineHeightPercentFontSize ? `${Math.round(style.lineHeightPercentFontSize) / 100}` : null;
+      case 'INTRINSIC_%':
+        if (!style.lineHeightPercent || style.lineHeightPercent === 100) return 'normal';
+        return style.lineHeightPx ? `${this.round(style.lineHeightPx)}px` : null;
+    }
+    if (style.lineHeightPercentFontSize) return `${Math.round(style.lineHeightPercentFontSize) / 100}`;
+    if (style.lineHeightPx) return `${this.round(style.lineHeightPx)}px`;
+    return null;
+  }
+  
+  // CSS letter-spacing. The REST API gives pixels; styled segments give { unit: PIXELS | PERCENT, value },
+  // where a percent is of the font size
+  getLetterSpacingValue(letterSpacing) {
+    if (letterSpacing && typeof letterSpacing === 'object') {
+      if (!letterSpacing.value) return null;
+      return letterSpacing.unit === 'PERCENT'
+        ? `${Math.round(letterSpacing.value * 10) / 1000}em`
+        : `${this.round(letterSpacing.value)}px`;
+    }
+    return letterSpacing ? `${this.round(letterSpacing)}px` : null;
+  }
+  
+  // justify-content for textAlignVertical CENTER/BOTTOM. Only a box taller than its text
+  // (fixed or filled height, not truncated) has room to align in
+  getTextVerticalAlign(node) {
+    const align = { 'CENTER': 'center', 'BOTTOM': 'flex-end' }[node.style?.textAlignVertical];
+    if (!align) return null;
+    const textAutoResize = node.style?.textAutoResize || node.textAutoResize;
+    if (node.layoutSizingVertical === 'HUG' || textAutoResize === 'HEIGHT' || textAutoResize === 'WIDTH_AND_HEIGHT') return null;
+    if ((node.style?.textTruncation || node.textTruncation) === 'ENDING') return null;
+    return align;
+  }
+  
   getTextTag(node) {
     if (!node.style) return 'p';
     
@@ -1435,8 +2722,246 @@ ${indent}</div>`;
     } else if (fontSize >= 24 || (fontSize >= 18 && fontWeight >= 600)) {
       return 'h3';
     }
-    
-    return 'p';
+    
+    return 'p';
+  }
+
+  // A TEXT node as an element. Single-paragraph text goes straight into the tag; several
+  // paragraphs or list lines become a <div> of <p>, <ul> and <ol> blocks. Headings keep
+  // one element with <br /> between the lines
+  renderTextElement(node, tag, attrs, indent) {
+    const lines = this.getTextLines(node);
+    const isList = lines.some(line => line.type !== 'NONE');
+    if (lines.length === 1 || (tag !== 'p' && !isList)) {
+      const content = lines.map(line => this.renderTextLine(node, line)).join('<br />');
+      // Vertically aligned text is a flex column - keep the runs together in one item
+      const wrapped = this.getTextVerticalAlign(node) ? `<span>${content}</span>` : content;
+      return `${indent}<${tag} ${attrs}>${wrapped}</${tag}>`;
+    }
+    
+    // Group the lines into blocks: each plain line is a paragraph, consecutive list lines one list
+    const blocks = [];
+    for (const line of lines) {
+      const lastBlock = blocks[blocks.length - 1];
+      if (line.type !== 'NONE' && lastBlock && lastBlock.list) {
+        lastBlock.lines.push(line);
+      } else {
+        blocks.push({ list: line.type !== 'NONE', lines: [line] });
+      }
+    }
+    
+    // paragraphSpacing is the space after each paragraph, except the last
+    const spacing = this.round(node.style?.paragraphSpacing || 0);
+    const childIndent = indent + '  ';
+    const blocksHTML = blocks.map((block, index) => {
+      const margin = spacing && index < blocks.length - 1 ? `margin: 0 0 ${spacing}px` : 'margin: 0';
+      if (block.list) return this.renderTextList(node, block.lines, margin, childIndent);
+      return `${childIndent}<p style="${margin}">${this.renderTextLine(node, block.lines[0]) || '<br />'}</p>`;
+    });
+    return `${indent}<div ${attrs}>
+${blocksHTML.join('\n')}
+${indent}</div>`;
+  }
+  
+  // Consecutive list lines as <ul>/<ol>. A change of line type starts a new list, and lines
+  // indented further (lineIndentations) nest inside the item before them
+  renderTextList(node, lines, margin, indent) {
+    const level = Math.min(...lines.map(line => line.indent));
+    const listStyles = [margin, 'padding-left: 1.5em'];
+    if (node.style?.paragraphIndent) listStyles.push('text-indent: 0');
+    const itemStyle = node.style?.listSpacing ? ` style="margin-bottom: ${this.round(node.style.listSpacing)}px"` : '';
+    
+    const lists = [];
+    let i = 0;
+    while (i < lines.length) {
+      const type = lines[i].type;
+      const items = [];
+      while (i < lines.length && (lines[i].indent > level || lines[i].type === type)) {
+        if (lines[i].indent > level && items.length > 0) {
+          const start = i;
+          while (i < lines.length && lines[i].indent > level) i++;
+          items[items.length - 1].nested = lines.slice(start, i);
+        } else {
+          items.push({ line: lines[i], nested: [] });
+          i++;
+        }
+      }
+      
+      const tag = type === 'ORDERED' ? 'ol' : 'ul';
+      const itemsHTML = items.map(item => {
+        const content = this.renderTextLine(node, item.line);
+        if (item.nested.length === 0) return `${indent}  <li${itemStyle}>${content}</li>`;
+        return `${indent}  <li${itemStyle}>${content}
+${this.renderTextList(node, item.nested, 'margin: 0', indent + '    ')}
+${indent}  </li>`;
+      });
+      lists.push(`${indent}<${tag} style="${listStyles.join('; ')}">
+${itemsHTML.join('\n')}
+${indent}</${tag}>`);
+    }
+    return lists.join('\n');
+  }
+  
+  // A TEXT node's lines (split at newlines), each with its runs and its Figma list
+  // formatting: type (NONE, ORDERED or UNORDERED, from lineTypes) and indent level
+  getTextLines(node) {
+    const lineRuns = [[]];
+    for (const run of this.getTextRuns(node)) {
+      run.text.split('\n').forEach((text, index) => {
+        if (index > 0) lineRuns.push([]);
+        if (text) lineRuns[lineRuns.length - 1].push({ ...run, text });
+      });
+    }
+    const lineTypes = node.lineTypes || [];
+    const lineIndentations = node.lineIndentations || [];
+    return lineRuns.map((runs, index) => ({
+      runs,
+      type: lineTypes[index] === 'ORDERED' || lineTypes[index] === 'UNORDERED' ? lineTypes[index] : 'NONE',
+      indent: lineIndentations[index] || 0
+    }));
+  }
+  
+  // One line's runs as HTML, with the runs styled differently from the layer (bold words,
+  // inline links, mixed sizes) as <a>, <strong>, <em> or <span>. Soft line breaks
+  // (Shift+Enter in Figma, U+2028) become <br />
+  renderTextLine(node, line) {
+    return line.runs.map(run => this.renderTextRun(node, run)).join('').replace(/\u2028/g, '<br />');
+  }
+  
+  // Split a TEXT node's characters into runs of one style: [{ text, style }]. Figma lists a
+  // style ID per character in characterStyleOverrides (0, or no entry for the trailing
+  // characters, is the layer's own style) and the styles in styleOverrideTable. Styled
+  // segments (Plugin API getStyledTextSegments, as some MCP servers send) are used as they are
+  getTextRuns(node) {
+    const characters = node.characters || '';
+    if (Array.isArray(node.styledTextSegments) && node.styledTextSegments.length > 0) {
+      return node.styledTextSegments.map(segment => ({
+        text: segment.characters ?? characters.slice(segment.start, segment.end),
+        style: this.getSegmentTextStyle(segment)
+      }));
+    }
+    
+    const overrides = node.characterStyleOverrides || [];
+    const table = node.styleOverrideTable || {};
+    if (overrides.length === 0) return characters ? [{ text: characters, style: {} }] : [];
+    
+    const runs = [];
+    for (let i = 0; i < characters.length; i++) {
+      const styleId = overrides[i] || 0;
+      const lastRun = runs[runs.length - 1];
+      if (lastRun && lastRun.styleId === styleId) {
+        lastRun.text += characters[i];
+      } else {
+        runs.push({ styleId, text: characters[i], style: (styleId && table[styleId]) || {} });
+      }
+    }
+    return runs;
+  }
+  
+  // A styled segment in the REST API's TypeStyle shape
+  getSegmentTextStyle(segment) {
+    return {
+      fontFamily: segment.fontName?.family,
+      italic: segment.fontName ? /italic/i.test(segment.fontName.style || '') : undefined,
+      fontWeight: segment.fontWeight,
+      fontSize: segment.fontSize,
+      textDecoration: segment.textDecoration,
+      textCase: segment.textCase,
+      letterSpacing: segment.letterSpacing,
+      fills: segment.fills,
+      hyperlink: segment.hyperlink
+    };
+  }
+  
+  renderTextRun(node, run) {
+    const text = this.escapeHTML(run.text);
+    const baseStyle = node.style || {};
+    const styles = this.getTextRunStyles(node, run.style);
+    const link = this.getHyperlinkUrl(run.style.hyperlink || baseStyle.hyperlink);
+    const href = link ? this.getSafeLinkUrl(link) : null;
+    
+    let tag;
+    if (href) {
+      tag = 'a';
+      // Links look like the text around them unless the run says otherwise
+      if (!styles.some(style => style.startsWith('color:'))) styles.push('color: inherit');
+      if (!styles.some(style => style.startsWith('text-decoration:'))) styles.push('text-decoration: none');
+    } else if (run.style.fontWeight >= 600 && (baseStyle.fontWeight || 400) < 600) {
+      tag = 'strong';
+    } else if (run.style.italic && !baseStyle.italic) {
+      tag = 'em';
+    } else if (styles.length > 0 || link) {
+      // A link with another scheme is kept as plain text in a span
+      tag = 'span';
+    } else {
+      return text;
+    }
+    
+    const hrefAttr = href ? ` href="${this.escapeHTML(href)}"` : '';
+    const styleAttr = styles.length > 0 ? ` style="${styles.join('; ')}"` : '';
+    return `<${tag}${hrefAttr}${styleAttr}>${text}</${tag}>`;
+  }
+  
+  // CSS for the properties of a run's style that differ from the text layer's own style
+  getTextRunStyles(node, runStyle) {
+    const styles = [];
+    const baseStyle = node.style || {};
+    this.usedFonts.add(
+      runStyle.fontFamily || baseStyle.fontFamily,
+      runStyle.fontWeight || baseStyle.fontWeight,
+      runStyle.italic ?? baseStyle.italic
+    );
+    const differs = key => runStyle[key] !== undefined && runStyle[key] !== null &&
+      JSON.stringify(runStyle[key]) !== JSON.stringify(baseStyle[key]);
+    
+    if (differs('fontFamily')) styles.push(`font-family: '${runStyle.fontFamily}', sans-serif`);
+    if (differs('fontSize')) styles.push(`font-size: ${this.round(runStyle.fontSize)}px`);
+    if (differs('fontWeight')) styles.push(`font-weight: ${runStyle.fontWeight}`);
+    if (runStyle.italic !== undefined && !!runStyle.italic !== !!baseStyle.italic) {
+      styles.push(`font-style: ${runStyle.italic ? 'italic' : 'normal'}`);
+    }
+    if (differs('textDecoration')) styles.push(this.getTextDecorationStyle(runStyle.textDecoration));
+    if (differs('textCase')) styles.push(this.getTextCaseStyle(runStyle.textCase));
+    const letterSpacing = this.getLetterSpacingValue(runStyle.letterSpacing);
+    if (differs('letterSpacing') && letterSpacing !== this.getLetterSpacingValue(baseStyle.letterSpacing)) {
+      styles.push(`letter-spacing: ${letterSpacing || 'normal'}`);
+    }
+    
+    const solidFill = fills => (fills || []).find(f => f.type === 'SOLID' && f.visible !== false && f.color);
+    const fill = solidFill(runStyle.fills);
+    if (fill) {
+      const color = this.getSolidFillColor(runStyle, fill);
+      const baseFill = solidFill(node.fills);
+      if (!baseFill || color !== this.getSolidFillColor(node, baseFill)) styles.push(`color: ${color}`);
+    }
+    
+    return styles;
+  }
+  
+  // URL of a text hyperlink. Links to other nodes (type NODE) have no page to point at
+  getHyperlinkUrl(hyperlink) {
+    if (!hyperlink || hyperlink.type !== 'URL') return null;
+    return hyperlink.url || hyperlink.value || null;
+  }
+  
+  // The link URL to emit as an href, or null for anything but http(s), mailto and tel -
+  // a javascript: link would run in the exports and on the compiler's own pages
+  getSafeLinkUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:', 'mailto:', 'tel:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (err) {
+      return null;
+    }
+  }
+  
+  // Escape text for HTML content and attribute values
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   generateHTML(figmaData, currentUrl = '') {
@@ -1460,6 +2985,7 @@ ${indent}</div>`;
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
     <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap" rel="stylesheet">
+${this.usedFonts.linkTags()}
     <script src="https://unpkg.com/@lottiefiles/dotlottie-wc@latest/dist/dotlottie-wc.js" type="module"></script>
     <title>Figma MCP Compiler</title>
     <style>
@@ -2356,6 +3882,7 @@ if (typeof document !== 'undefined') {
 
     // Replace class with className
     jsx = jsx.replace(/\bclass="/g, 'className="');
+    jsx = jsx.replace(/\bsrcset="/g, 'srcSet="');
 
     // Extract inline styles into CSS module classes
     jsx = jsx.replace(/style="([^"]*)"/g, (match, styleStr) => {
@@ -2402,6 +3929,9 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
     
     // Generate the same HTML/CSS output as the normal preview
     const renderedHTML = figmaData ? this.translateNodeToHTML(this.extractNodeToRender(figmaData)) : '<p>No design loaded</p>';
+    const themeCSS = figmaData ? this.generateVariableThemeCSS() : '';
+    const fontLinks = figmaData ? this.usedFonts.linkTags() : '';
+    const designFont = figmaData ? this.usedFonts.fontStack() : WebFonts.SYSTEM_FONT_STACK;
     
     return `<!DOCTYPE html>
 <html lang="en">
@@ -2413,11 +3943,12 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
     <link rel="stylesheet" href="/node_modules/@digdir/designsystemet-css/dist/src/index.css">
     <link rel="stylesheet" href="/node_modules/rk-design-tokens/design-tokens-build/theme.css">
     <link rel="stylesheet" href="/node_modules/rk-designsystem/dist/rk-designsystem.css">
-    <link href="https://fonts.googleapis.com/css2?family=Source+Sans+3:wght@200;300;400;500;600;700;800;900&display=swap" rel="stylesheet">
+${fontLinks}
+    ${themeCSS ? `<style id="figma-variables">\n${themeCSS}\n    </style>` : ''}
     <style>
         * { box-sizing: border-box; }
         body {
-            font-family: 'Source Sans 3', sans-serif;
+            font-family: ${WebFonts.SYSTEM_FONT_STACK};
             margin: 0;
             padding: 20px;
             background: #f5f5f5;
@@ -2446,6 +3977,7 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
         }
         .back-btn:hover { background: #333; }
         .preview-container {
+            font-family: ${designFont};
             background: white !important;
             border-radius: 8px;
             padding: 30px;
@@ -2503,6 +4035,10 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
         return figmaData.nodes[firstNodeKey].document;
       }
     }
+    // Whole-file responses (no node-id) wrap the tree in `document`
+    if (figmaData.document) {
+      return figmaData.document;
+    }
     return figmaData;
   }
 
@@ -3229,7 +4765,430 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
 </html>`;
   }
 
+  // Download the images, GIFs and videos under rootNode into the export (see ExportAssets).
+  // options.svgFiles writes inline SVGs as separate .svg files referenced with <img>;
+  // options.responsiveImages adds 1x/2x, WebP and AVIF variants of each image.
+  // Returns { files, urls, failed } - urls are the asset maps to render the export with
+  async collectExportAssets(rootNode, options = {}) {
+    const assets = new ExportAssets({ http: this.mcpClient.http, dir: options.dir, publicPath: options.publicPath });
+    const nameFor = nodeId => this.findNodeById(rootNode, nodeId)?.name;
+    
+    const [imageUrls, gifUrls, videoUrls] = await Promise.all([
+      assets.localize(this.imageUrls, 'image', nameFor),
+      assets.localize(this.gifUrls, 'gif', nameFor),
+      assets.localize(this.videoUrls, 'video', nameFor)
+    ]);
+    
+    let svgContent = this.svgContent;
+    if (options.svgFiles) {
+      svgContent = {};
+      for (const [nodeId, svg] of Object.entries(this.svgContent)) {
+        imageUrls[nodeId] = assets.addContent(svg, nameFor(nodeId), 'image/svg+xml');
+      }
+    }
+    
+    const responsiveImages = options.responsiveImages
+      ? await this.collectResponsiveImages(rootNode, assets, nameFor)
+      : {};
+    
+    if (assets.files.length > 0) {
+      console.log(`📦 Added ${assets.files.length} asset files to the export`);
+    }
+    assets.failed.forEach(failure => {
+      console.warn(`  ⚠️  Could not download ${failure.type} for ${failure.nodeId} - it stays hot-linked: ${failure.message}`);
+    });
+    
+    return { files: assets.files, urls: { imageUrls, gifUrls, videoUrls, svgContent, responsiveImages }, failed: assets.failed };
+  }
+  
+  // Responsive variants for each image node: Figma renders at 1x and 2x of the layer's
+  // size (the 1x is resized locally when Figma can't be asked), plus WebP/AVIF via sharp
+  async collectResponsiveImages(rootNode, assets, nameFor) {
+    const nodes = Object.keys(this.imageUrls)
+      .map(nodeId => this.findNodeById(rootNode, nodeId))
+      .filter(node => node?.absoluteBoundingBox?.width > 0)
+      .filter(node => !assets.failed.some(failure => failure.nodeId === node.id));
+    if (nodes.length === 0) return {};
+    
+    if (!ExportAssets.canEncode()) {
+      console.warn('⚠️  sharp is not installed - responsive images get 1x/2x PNGs only (npm install sharp for WebP/AVIF)');
+    }
+    console.log(`🖼️  Building responsive variants for ${nodes.length} images...`);
+    const scale1Urls = await this.fetchImageRenderUrls(nodes.map(node => node.id), 1);
+    
+    const responsiveImages = {};
+    await Promise.all(nodes.map(async (node) => {
+      const bbox = node.absoluteBoundingBox;
+      const width = Math.round(bbox.width);
+      try {
+        const renders = { [width * 2]: (await assets.load(this.imageUrls[node.id])).buffer };
+        if (scale1Urls[node.id]) {
+          renders[width] = (await assets.load(scale1Urls[node.id])).buffer;
+        }
+        
+        const variants = await assets.addResponsive(renders, [width, width * 2], nameFor(node.id));
+        if (variants) {
+          responsiveImages[node.id] = {
+            ...variants,
+            width,
+            height: Math.round(bbox.height),
+            sizes: `(max-width: ${width}px) 100vw, ${width}px`
+          };
+        }
+      } catch (err) {
+        assets.failed.push({ nodeId: node.id, type: 'image', code: err.code || 'ERROR', status: err.status || null, message: err.message });
+      }
+    }));
+    return responsiveImages;
+  }
+  
+  // PNG render URLs for nodes at another scale ({} without REST access to the file)
+  async fetchImageRenderUrls(nodeIds, scale) {
+    if (!this.mcpClient.token || this.mcpClient.useMockData || !this.currentFileKey) return {};
+    try {
+      const data = await this.mcpClient.http.getJSON(`/images/${this.currentFileKey}?ids=${nodeIds.join(',')}&format=png&scale=${scale}`);
+      return data.images || {};
+    } catch (err) {
+      console.warn(`  ⚠️  Could not fetch ${scale}x renders: ${err.message}`);
+      return {};
+    }
+  }
+  
+  // Web fonts for an export, from the fonts the design was just rendered with: Google Fonts
+  // stylesheet links, or with options.selfHostFonts the woff2 files (in options.dir) and
+  // @font-face rules for them. Fonts Google Fonts doesn't have (or that can't be self-hosted)
+  // are warned about and returned in failed. fontFamily is the body font - the design's main family
+  async collectExportFonts(options = {}) {
+    const assets = options.selfHostFonts
+      ? new ExportAssets({ http: this.mcpClient.http, dir: options.dir, publicPath: options.publicPath })
+      : null;
+    const fonts = await this.usedFonts.resolve({ http: this.mcpClient.http, assets });
+    
+    if (assets && assets.files.length > 0) {
+      console.log(`🔤 Added ${assets.files.length} font files to the export`);
+    }
+    fonts.failed.forEach(failure => {
+      console.warn(`  ⚠️  Font ${failure.family} (${failure.variants}): ${failure.message}`);
+    });
+    
+    return {
+      links: fonts.links,
+      css: fonts.css,
+      files: assets ? assets.files : [],
+      failed: fonts.failed,
+      fontFamily: this.usedFonts.fontStack()
+    };
+  }
+  
+  // Check the loaded design's fonts against Google Fonts, so the live pages (linkTags) leave
+  // out families it doesn't have, and list the problems on the compiler page
+  async checkFonts(figmaData) {
+    this.translateNodeToHTML(this.extractNodeToRender(figmaData));
+    const fonts = await this.usedFonts.resolve({ http: this.mcpClient.http });
+    fonts.failed.forEach(failure => {
+      console.warn(`  ⚠️  Font ${failure.family} (${failure.variants}): ${failure.message}`);
+    });
+    this.fontErrors = fonts.failed;
+    return fonts.failed;
+  }
+  
+  // Run render with the compiler's asset maps swapped for an export's local ones
+  withAssetUrls(urls, render) {
+    const original = {
+      imageUrls: this.imageUrls,
+      gifUrls: this.gifUrls,
+      videoUrls: this.videoUrls,
+      svgContent: this.svgContent,
+      responsiveImages: this.responsiveImages
+    };
+    Object.assign(this, urls);
+    try {
+      return render();
+    } finally {
+      Object.assign(this, original);
+    }
+  }
+
+  // Build the files for the static HTML/CSS export, with assets downloaded into assets/
+  // Returns { fileName, files: [{ name, content }], failedAssets, failedFonts } so callers can zip or write them to disk
+  async generateHTMLExport(figmaData, options = {}) {
+    const nodeToRender = this.extractNodeToRender(figmaData);
+    const assets = await this.collectExportAssets(nodeToRender, { ...options, dir: 'assets' });
+    const renderedHTML = this.withAssetUrls(assets.urls, () => this.translateNodeToHTML(nodeToRender));
+    const fonts = await this.collectExportFonts({ ...options, dir: 'fonts' });
+    const fileName = (figmaData.name || 'figma-export').replace(/[^a-zA-Z0-9-_]/g, '-');
+    const fontLinks = fonts.links.map(href => `\n    <link href="${href}" rel="stylesheet">`).join('');
+
+    // Build a standalone HTML page
+    const htmlPage = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${figmaData.name || 'Figma Export'}</title>${fontLinks}
+    <link rel="stylesheet" href="styles.css">
+</head>
+<body>
+${renderedHTML}
+</body>
+</html>`;
+
+    // Extract inline styles into a CSS file
+    const cssRules = [];
+    let classCounter = 0;
+    let cleanHTML = htmlPage;
+    cleanHTML = cleanHTML.replace(/style="([^"]*)"/g, (match, styleStr) => {
+      const className = 'figma-style-' + (++classCounter);
+      const cssProps = styleStr.split(';').filter(s => s.trim()).map(s => {
+        const parts = s.split(':');
+        const prop = parts[0]?.trim();
+        const val = parts.slice(1).join(':')?.trim();
+        return prop && val ? '  ' + prop + ': ' + val + ';' : '';
+      }).filter(Boolean).join('\n');
+      if (cssProps) {
+        cssRules.push('.' + className + ' {\n' + cssProps + '\n}');
+      }
+      return 'class="' + className + '"';
+    });
+
+    // Figma variables - default modes in :root, other modes switchable via
+    // data-color-scheme / data-theme on <html> or any container
+    const themeCSS = this.generateVariableThemeCSS();
+    const cssContent = `/* Generated by Figma MCP Compiler */\n\n* { box-sizing: border-box; }\n\nbody {\n  font-family: ${fonts.fontFamily};\n  margin: 0;\n  padding: 0;\n}\n\n` +
+      (fonts.css ? '/* Web fonts */\n' + fonts.css + '\n\n' : '') +
+      (themeCSS ? '/* Figma variables */\n' + themeCSS + '\n\n' : '') +
+      cssRules.join('\n\n');
+
+    const tokens = this.generateTokenExport(figmaData, 'dtcg');
+    const hasTokens = tokens.content.trim() !== '{}';
+
+    const readme = '# ' + (figmaData.name || 'Figma Export') + '\n\nGenerated by Figma MCP Compiler.\n\n## Deploy\n\nServe the files with any static file server:\n\n```bash\nnpx serve .\n```\n';
+
+    return {
+      fileName,
+      files: [
+        { name: 'index.html', content: cleanHTML },
+        { name: 'styles.css', content: cssContent },
+        ...(hasTokens ? [{ name: tokens.fileName, content: tokens.content }] : []),
+        { name: 'README.md', content: readme },
+        ...assets.files,
+        ...fonts.files
+      ],
+      failedAssets: assets.failed,
+      failedFonts: fonts.failed
+    };
+  }
+
+  // Build the files for the React (Vite) project export, with assets in public/assets/
+  // Returns { fileName, files: [{ name, content }], failedAssets, failedFonts } so callers can zip or write them to disk
+  async generateReactExport(figmaData, options = {}) {
+    const nodeToRender = this.extractNodeToRender(figmaData);
+    const assets = await this.collectExportAssets(nodeToRender, { ...options, dir: 'public/assets', publicPath: '/assets' });
+    const renderedHTML = this.withAssetUrls(assets.urls, () => this.translateNodeToHTML(nodeToRender));
+    const fonts = await this.collectExportFonts({ ...options, dir: 'public/fonts', publicPath: '/fonts' });
+    const fileName = (figmaData.name || 'figma-export').replace(/[^a-zA-Z0-9-_]/g, '-');
+    const projectName = fileName.toLowerCase();
+
+    // Generate React component code from HTML
+    const { componentCode, cssModuleCode } = this.generateReactComponentCode(renderedHTML);
+
+    // package.json
+    const packageJson = JSON.stringify({
+      name: projectName,
+      version: '1.0.0',
+      private: true,
+      scripts: {
+        dev: 'vite',
+        build: 'vite build',
+        preview: 'vite preview'
+      },
+      dependencies: {
+        'react': '^18.3.0',
+        'react-dom': '^18.3.0',
+        '@digdir/designsystemet-css': '^1.11.0',
+        'rk-design-tokens': '^1.0.0',
+        'rk-designsystem': '^1.0.0'
+      },
+      devDependencies: {
+        '@vitejs/plugin-react': '^4.3.0',
+        'vite': '^6.0.0'
+      }
+    }, null, 2);
+
+    // vite.config.js
+    const viteConfig = [
+      "import { defineConfig } from 'vite';",
+      "import react from '@vitejs/plugin-react';",
+      "",
+      "export default defineConfig({",
+      "  plugins: [react()],",
+      "});",
+      ""
+    ].join('\n');
+
+    // index.html for Vite
+    const projectTitle = figmaData.name || 'Figma Export';
+    const indexHtml = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '    <meta charset="UTF-8">',
+      '    <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+      '    <title>' + projectTitle + '</title>',
+      ...fonts.links.map(href => '    <link href="' + href + '" rel="stylesheet">'),
+      '</head>',
+      '<body>',
+      '    <div id="root"></div>',
+      '    <script type="module" src="/src/main.jsx"><\/script>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+
+    // Body font, and the @font-face rules for self-hosted fonts in public/fonts
+    const fontsCss = '/* Web fonts */\n\nbody {\n  font-family: ' + fonts.fontFamily + ';\n}\n' + (fonts.css ? '\n' + fonts.css + '\n' : '');
+
+    // Figma variables as global custom properties (all modes)
+    const themeCSS = this.generateVariableThemeCSS();
+    const tokens = this.generateTokenExport(figmaData, 'dtcg');
+    const hasTokens = tokens.content.trim() !== '{}';
+
+    // main.jsx
+    const mainJsx = [
+      "import React from 'react';",
+      "import ReactDOM from 'react-dom/client';",
+      "import '@digdir/designsystemet-css';",
+      "import 'rk-design-tokens/design-tokens-build/theme.css';",
+      "import 'rk-designsystem/dist/rk-designsystem.css';",
+      ...(themeCSS ? ["import './tokens.css';"] : []),
+      "import './fonts.css';",
+      "import App from './App';",
+      "",
+      "ReactDOM.createRoot(document.getElementById('root')).render(",
+      "  <React.StrictMode>",
+      "    <App />",
+      "  </React.StrictMode>",
+      ");",
+      ""
+    ].join('\n');
+
+    // App.jsx
+    const appJsx = [
+      "import React from 'react';",
+      "import FigmaComponent from './components/FigmaComponent';",
+      "",
+      "export default function App() {",
+      "  return <FigmaComponent />;",
+      "}",
+      ""
+    ].join('\n');
+
+    const readme = '# ' + projectTitle + '\n\nGenerated by Figma MCP Compiler.\n\n## Getting Started\n\n```bash\nnpm install\nnpm run dev\n```\n\n## Build for Production\n\n```bash\nnpm run build\n```\n\nThe built files will be in the `dist` folder, ready to deploy.\n';
+
+    return {
+      fileName,
+      files: [
+        { name: 'package.json', content: packageJson },
+        { name: 'vite.config.js', content: viteConfig },
+        { name: 'index.html', content: indexHtml },
+        { name: 'src/main.jsx', content: mainJsx },
+        { name: 'src/App.jsx', content: appJsx },
+        ...(themeCSS ? [{ name: 'src/tokens.css', content: '/* Figma variables - switch modes with data-color-scheme / data-theme */\n\n' + themeCSS + '\n' }] : []),
+        { name: 'src/fonts.css', content: fontsCss },
+        { name: 'src/components/FigmaComponent.jsx', content: componentCode },
+        { name: 'src/components/FigmaComponent.module.css', content: cssModuleCode },
+        ...(hasTokens ? [{ name: tokens.fileName, content: tokens.content }] : []),
+        { name: 'README.md', content: readme },
+        ...assets.files,
+        ...fonts.files
+      ],
+      failedAssets: assets.failed,
+      failedFonts: fonts.failed
+    };
+  }
+
+  // Export options from /api/export-* query parameters (?svgFiles=true&responsiveImages=true&selfHostFonts=true)
+  getExportOptions(req) {
+    return {
+      svgFiles: req.query.svgFiles === 'true',
+      responsiveImages: req.query.responsiveImages === 'true',
+      selfHostFonts: req.query.selfHostFonts === 'true'
+    };
+  }
+
+  // Stream export files to the response as a zip download
+  sendZip(res, zipName, files) {
+    const archiver = require('archiver');
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="' + zipName + '"');
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.pipe(res);
+    for (const file of files) {
+      archive.append(file.content, { name: file.name });
+    }
+    archive.finalize();
+  }
+
+  // Create a session with its own compiler instance, so each user's
+  // Figma data, asset caches and Code Connect map stay separate
+  createSession() {
+    const session = {
+      id: crypto.randomUUID(),
+      compiler: new MCPCompiler(),
+      currentUrl: null,
+      fileKey: null,
+      nodeId: null,
+      figmaData: null,
+      lastSeen: Date.now()
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  // Resolve the session for a request from the X-Session-Id header or session cookie,
+  // creating one (and setting the cookie) when none exists yet
+  getSession(req, res) {
+    this.pruneSessions();
+
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(pair => {
+      const eq = pair.indexOf('=');
+      if (eq > 0) {
+        cookies[pair.slice(0, eq).trim()] = decodeURIComponent(pair.slice(eq + 1).trim());
+      }
+    });
+
+    const sessionId = req.get('X-Session-Id') || cookies[SESSION_COOKIE];
+    let session = sessionId ? this.sessions.get(sessionId) : null;
+
+    if (!session) {
+      session = this.createSession();
+      res.cookie(SESSION_COOKIE, session.id, { httpOnly: true, sameSite: 'lax', maxAge: SESSION_TTL_MS });
+    }
+
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  // Drop sessions that have been idle longer than SESSION_TTL_MS, disconnecting their
+  // Figma client so a stdio MCP server process or HTTP MCP session isn't left open
+  pruneSessions() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastSeen > SESSION_TTL_MS) {
+        this.sessions.delete(id);
+        session.compiler.mcpClient.disconnect().catch(error => {
+          console.warn(`⚠️  Could not disconnect expired session: ${error.message}`);
+        });
+      }
+    }
+  }
+
   async start(port = 3000) {
+    this.app = express();
+
     // Enable JSON body parsing
     this.app.use(express.json());
     
@@ -3237,11 +5196,7 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
     const path = require('path');
     this.app.use('/node_modules', express.static(path.join(__dirname, 'node_modules')));
     
-    // State for current compilation
-    let currentUrl = null;
-    let fileKey = null;
-    let nodeId = null;
-    let figmaData = null;
+    // Compilation state (URL, Figma data, caches) is kept per session - see getSession()
 
     // Setup page (landing page)
     this.app.get('/', (req, res) => {
@@ -3257,18 +5212,10 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
       }
       
       try {
-        const response = await fetch('https://api.figma.com/v1/me', {
-          headers: { 'X-Figma-Token': token }
-        });
-        
-        if (response.ok) {
-          const data = await response.json();
-          res.json({ valid: true, user: data.handle || data.email });
-        } else {
-          res.json({ valid: false, error: 'Invalid token' });
-        }
+        const data = await new FigmaHttpClient({ token }).getJSON('/me', { timeout: 5000, retries: 1 });
+        res.json({ valid: true, user: data.handle || data.email });
       } catch (err) {
-        res.json({ valid: false, error: err.message });
+        res.json({ valid: false, error: err.status === 401 || err.status === 403 ? 'Invalid token' : err.message });
       }
     });
 
@@ -3315,12 +5262,14 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
         const fs = require('fs');
         const path = require('path');
         
-        // Use stored component tree from the instance
-        const componentTree = this.currentComponentTree || null;
+        // Use stored component tree from the session's compiler
+        const session = this.getSession(req, res);
+        const componentTree = session.compiler.currentComponentTree || null;
         
         // Create a temporary entry file that imports the design system and renders components
+        // (named per session so concurrent bundles don't overwrite each other)
         const entryCode = this.generateReactPreviewEntry(componentTree);
-        const entryPath = path.join(__dirname, '.react-preview-entry.jsx');
+        const entryPath = path.join(__dirname, `.react-preview-entry-${session.id}.jsx`);
         fs.writeFileSync(entryPath, entryCode);
         
         // Bundle with esbuild
@@ -3357,64 +5306,19 @@ ${jsx.split('\n').map(line => '      ' + line).join('\n')}
 
     // React preview page - renders actual React components
     this.app.get('/react-preview', (req, res) => {
-      res.send(this.generateReactPreviewPage(figmaData));
+      const session = this.getSession(req, res);
+      res.send(session.compiler.generateReactPreviewPage(session.figmaData));
     });
 
     // Export HTML/CSS as deployable zip
-    this.app.get('/api/export-html', (req, res) => {
-      if (!figmaData) {
+    this.app.get('/api/export-html', async (req, res) => {
+      const session = this.getSession(req, res);
+      if (!session.figmaData) {
         return res.status(400).json({ error: 'No design loaded' });
       }
       try {
-        const archiver = require('archiver');
-        const nodeToRender = this.extractNodeToRender(figmaData);
-        const renderedHTML = this.translateNodeToHTML(nodeToRender);
-        const fileName = (figmaData.name || 'figma-export').replace(/[^a-zA-Z0-9-_]/g, '-');
-
-        // Build a standalone HTML page
-        const htmlPage = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${figmaData.name || 'Figma Export'}</title>
-    <link href="https://fonts.googleapis.com/css2?family=Source+Sans+3:wght@200;300;400;500;600;700;800;900&display=swap" rel="stylesheet">
-    <link rel="stylesheet" href="styles.css">
-</head>
-<body>
-${renderedHTML}
-</body>
-</html>`;
-
-        // Extract inline styles into a CSS file
-        const cssRules = [];
-        let classCounter = 0;
-        let cleanHTML = htmlPage;
-        cleanHTML = cleanHTML.replace(/style="([^"]*)"/g, (match, styleStr) => {
-          const className = 'figma-style-' + (++classCounter);
-          const cssProps = styleStr.split(';').filter(s => s.trim()).map(s => {
-            const parts = s.split(':');
-            const prop = parts[0]?.trim();
-            const val = parts.slice(1).join(':')?.trim();
-            return prop && val ? '  ' + prop + ': ' + val + ';' : '';
-          }).filter(Boolean).join('\\n');
-          if (cssProps) {
-            cssRules.push('.' + className + ' {\\n' + cssProps + '\\n}');
-          }
-          return 'class="' + className + '"';
-        });
-
-        const cssContent = `/* Generated by Figma MCP Compiler */\n\n* { box-sizing: border-box; }\n\nbody {\n  font-family: 'Source Sans 3', sans-serif;\n  margin: 0;\n  padding: 0;\n}\n\n` + cssRules.join('\n\n');
-
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', 'attachment; filename="' + fileName + '-html.zip"');
-
-        const archive = archiver('zip', { zlib: { level: 9 } });
-        archive.pipe(res);
-        archive.append(cleanHTML, { name: 'index.html' });
-        archive.append(cssContent, { name: 'styles.css' });
-        archive.append('# ' + (figmaData.name || 'Figma Export') + '\\n\\nGenerated by Figma MCP Compiler.\\n\\n## Deploy\\n\\nServe the files with any static file server:\\n\\n```bash\\nnpx serve .\\n```\\n', { name: 'README.md' });
-        archive.finalize();
+        const { fileName, files } = await session.compiler.generateHTMLExport(session.figmaData, this.getExportOptions(req));
+        this.sendZip(res, fileName + '-html.zip', files);
       } catch (err) {
         console.error('❌ HTML export error:', err);
         res.status(500).json({ error: err.message });
@@ -3423,133 +5327,121 @@ ${renderedHTML}
 
     // Export React as deployable zip
     this.app.get('/api/export-react', async (req, res) => {
-      if (!figmaData) {
+      const session = this.getSession(req, res);
+      if (!session.figmaData) {
         return res.status(400).json({ error: 'No design loaded' });
       }
       try {
-        const archiver = require('archiver');
-        const nodeToRender = this.extractNodeToRender(figmaData);
-        const renderedHTML = this.translateNodeToHTML(nodeToRender);
-        const fileName = (figmaData.name || 'figma-export').replace(/[^a-zA-Z0-9-_]/g, '-');
-        const projectName = fileName.toLowerCase();
-
-        // Generate React component code from HTML
-        const { componentCode, cssModuleCode, imports } = this.generateReactComponentCode(renderedHTML);
-
-        // package.json
-        const packageJson = JSON.stringify({
-          name: projectName,
-          version: '1.0.0',
-          private: true,
-          scripts: {
-            dev: 'vite',
-            build: 'vite build',
-            preview: 'vite preview'
-          },
-          dependencies: {
-            'react': '^18.3.0',
-            'react-dom': '^18.3.0',
-            '@digdir/designsystemet-css': '^1.11.0',
-            'rk-design-tokens': '^1.0.0',
-            'rk-designsystem': '^1.0.0'
-          },
-          devDependencies: {
-            '@vitejs/plugin-react': '^4.3.0',
-            'vite': '^6.0.0'
-          }
-        }, null, 2);
-
-        // vite.config.js
-        const viteConfig = [
-          "import { defineConfig } from 'vite';",
-          "import react from '@vitejs/plugin-react';",
-          "",
-          "export default defineConfig({",
-          "  plugins: [react()],",
-          "});",
-          ""
-        ].join('\n');
-
-        // index.html for Vite
-        const projectTitle = figmaData.name || 'Figma Export';
-        const indexHtml = [
-          '<!DOCTYPE html>',
-          '<html lang="en">',
-          '<head>',
-          '    <meta charset="UTF-8">',
-          '    <meta name="viewport" content="width=device-width, initial-scale=1.0">',
-          '    <title>' + projectTitle + '</title>',
-          '    <link href="https://fonts.googleapis.com/css2?family=Source+Sans+3:wght@200;300;400;500;600;700;800;900&display=swap" rel="stylesheet">',
-          '</head>',
-          '<body>',
-          '    <div id="root"></div>',
-          '    <script type="module" src="/src/main.jsx"><\/script>',
-          '</body>',
-          '</html>',
-          ''
-        ].join('\n');
+        const { fileName, files } = await session.compiler.generateReactExport(session.figmaData, this.getExportOptions(req));
+        this.sendZip(res, fileName + '-react.zip', files);
+      } catch (err) {
+        console.error('❌ React export error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        // main.jsx
-        const mainJsx = [
-          "import React from 'react';",
-          "import ReactDOM from 'react-dom/client';",
-          "import '@digdir/designsystemet-css';",
-          "import 'rk-design-tokens/design-tokens-build/theme.css';",
-          "import 'rk-designsystem/dist/rk-designsystem.css';",
-          "import App from './App';",
-          "",
-          "ReactDOM.createRoot(document.getElementById('root')).render(",
-          "  <React.StrictMode>",
-          "    <App />",
-          "  </React.StrictMode>",
-          ");",
-          ""
-        ].join('\n');
+    // Design tokens (variables + styles used by the loaded node) in DTCG, CSS, SCSS, Tailwind or JS
+    this.app.get('/api/export-tokens', (req, res) => {
+      const session = this.getSession(req, res);
+      if (!session.figmaData) {
+        return res.status(400).json({ error: 'No design loaded' });
+      }
+      const format = req.query.format || 'dtcg';
+      if (!DesignTokenExporter.formats.includes(format)) {
+        return res.status(400).json({ error: `Unknown format "${format}" - use one of: ${DesignTokenExporter.formats.join(', ')}` });
+      }
+      try {
+        const { fileName, contentType, content } = session.compiler.generateTokenExport(session.figmaData, format);
+        res.setHeader('Content-Type', contentType + '; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="' + fileName + '"');
+        res.send(content);
+      } catch (err) {
+        console.error('❌ Token export error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        // App.jsx
-        const appJsx = [
-          "import React from 'react';",
-          "import FigmaComponent from './components/FigmaComponent';",
-          "",
-          "export default function App() {",
-          "  return <FigmaComponent />;",
-          "}",
-          ""
-        ].join('\n');
+    // Offline snapshot (.figsnap) of the loaded design, including image bytes
+    this.app.get('/api/export-snapshot', async (req, res) => {
+      const session = this.getSession(req, res);
+      if (!session.figmaData) {
+        return res.status(400).json({ error: 'No design loaded' });
+      }
+      try {
+        const snapshot = await session.compiler.createSnapshot(session.figmaData, {
+          fileKey: session.fileKey,
+          nodeId: session.nodeId,
+          url: session.currentUrl
+        });
+        const fileName = (session.figmaData.name || 'figma-export').replace(/[^a-zA-Z0-9-_]/g, '-');
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', 'attachment; filename="' + fileName + '.figsnap"');
+        res.send(snapshot.toBuffer());
+      } catch (err) {
+        console.error('❌ Snapshot export error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', 'attachment; filename="' + fileName + '-react.zip"');
+    // Load a .figsnap upload (raw request body) as the session's design - no token needed
+    this.app.post('/api/load-snapshot', express.raw({ type: '*/*', limit: '500mb' }), (req, res) => {
+      try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return res.status(400).json({ success: false, error: 'Snapshot file required' });
+        }
+        
+        const snapshot = FigmaSnapshot.fromBuffer(req.body);
+        const session = this.getSession(req, res);
+        session.figmaData = session.compiler.loadSnapshot(snapshot);
+        session.fileKey = snapshot.source.fileKey;
+        session.nodeId = snapshot.source.nodeId;
+        session.currentUrl = snapshot.source.url || '';
+        
+        res.json({
+          success: true,
+          message: 'Snapshot loaded',
+          name: session.figmaData.name,
+          createdAt: snapshot.data.createdAt,
+          failedAssets: session.compiler.assetErrors
+        });
+      } catch (err) {
+        res.status(400).json({ success: false, error: err.message });
+      }
+    });
 
-        const archive = archiver('zip', { zlib: { level: 9 } });
-        archive.pipe(res);
-        archive.append(packageJson, { name: 'package.json' });
-        archive.append(viteConfig, { name: 'vite.config.js' });
-        archive.append(indexHtml, { name: 'index.html' });
-        archive.append(mainJsx, { name: 'src/main.jsx' });
-        archive.append(appJsx, { name: 'src/App.jsx' });
-        archive.append(componentCode, { name: 'src/components/FigmaComponent.jsx' });
-        archive.append(cssModuleCode, { name: 'src/components/FigmaComponent.module.css' });
-        archive.append('# ' + (figmaData.name || 'Figma Export') + '\\n\\nGenerated by Figma MCP Compiler.\\n\\n## Getting Started\\n\\n```bash\\nnpm install\\nnpm run dev\\n```\\n\\n## Build for Production\\n\\n```bash\\nnpm run build\\n```\\n\\nThe built files will be in the `dist` folder, ready to deploy.\\n', { name: 'README.md' });
-        archive.finalize();
+    // Code generated by the MCP server's get_code tool for the loaded node
+    this.app.get('/api/mcp/code', async (req, res) => {
+      const session = this.getSession(req, res);
+      if (!session.fileKey) {
+        return res.status(400).json({ success: false, error: 'No design loaded' });
+      }
+      const client = session.compiler.mcpClient;
+      if (!client.hasTool('figma_get_code')) {
+        return res.status(404).json({ success: false, error: 'Connected MCP server does not provide get_code' });
+      }
+      try {
+        const nodeId = req.query.nodeId || session.nodeId;
+        const code = await client.getCode(session.fileKey, nodeId);
+        res.json({ success: true, nodeId, code });
       } catch (err) {
-        console.error('❌ React export error:', err);
-        res.status(500).json({ error: err.message });
+        res.status(500).json({ success: false, error: err.message });
       }
     });
 
     // Compiler page
     this.app.get('/compiler', (req, res) => {
-      if (!figmaData) {
-        res.send(this.generateCompilerPage(null, ''));
+      const session = this.getSession(req, res);
+      if (!session.figmaData) {
+        res.send(session.compiler.generateCompilerPage(null, ''));
       } else {
-        res.send(this.generateCompilerPage(figmaData, currentUrl));
+        res.send(session.compiler.generateCompilerPage(session.figmaData, session.currentUrl));
       }
     });
 
     // Load endpoint - load Figma URL with token from header
     this.app.post('/api/compile', async (req, res) => {
       try {
-        const { url, token } = req.body;
+        const { url, token, noCache } = req.body;
         
         if (!url) {
           return res.status(400).json({ success: false, error: 'URL required' });
@@ -3558,19 +5450,25 @@ ${renderedHTML}
           return res.status(400).json({ success: false, error: 'Token required' });
         }
         
-        // Temporarily set the token for this request
-        process.env.FIGMA_ACCESS_TOKEN = token;
-        
         console.log('📂 Compile requested: ' + url);
+        const session = this.getSession(req, res);
         const parsed = this.parseFigmaUrl(url);
-        fileKey = parsed.fileKey;
-        nodeId = parsed.nodeId;
-        currentUrl = url;
-        
-        figmaData = await this.fetchFigmaData(fileKey, nodeId);
-        console.log('✅ Figma data compiled');
-        
-        res.json({ success: true, message: 'Compiled successfully', name: figmaData.name });
+        session.fileKey = parsed.fileKey;
+        session.nodeId = parsed.nodeId;
+        session.currentUrl = url;
+        
+        session.figmaData = await session.compiler.fetchFigmaData(session.fileKey, session.nodeId, { token, cache: !noCache });
+        const failedAssets = session.compiler.assetErrors;
+        const failedFonts = await session.compiler.checkFonts(session.figmaData);
+        console.log('✅ Figma data compiled' + (failedAssets.length ? ` with ${failedAssets.length} failed assets` : ''));
+        
+        res.json({
+          success: true,
+          message: failedAssets.length ? `Compiled with ${failedAssets.length} failed assets` : 'Compiled successfully',
+          name: session.figmaData.name,
+          failedAssets,
+          failedFonts
+        });
       } catch (err) {
         console.error('❌ Compile error:', err);
         res.status(500).json({ success: false, error: err.message });
@@ -3580,22 +5478,28 @@ ${renderedHTML}
     // Refresh endpoint
     this.app.post('/api/refresh', async (req, res) => {
       try {
-        const { token } = req.body;
+        const { token, noCache } = req.body;
+        const session = this.getSession(req, res);
         
-        if (!fileKey) {
+        if (!session.fileKey) {
           return res.status(400).json({ success: false, error: 'No design loaded' });
         }
         if (!token) {
           return res.status(400).json({ success: false, error: 'Token required' });
         }
         
-        process.env.FIGMA_ACCESS_TOKEN = token;
-        
         console.log('🔄 Refresh requested...');
-        figmaData = await this.fetchFigmaData(fileKey, nodeId);
-        console.log('✅ Figma data refreshed');
-        
-        res.json({ success: true, message: 'Refreshed successfully' });
+        session.figmaData = await session.compiler.fetchFigmaData(session.fileKey, session.nodeId, { token, cache: !noCache });
+        const failedAssets = session.compiler.assetErrors;
+        const failedFonts = await session.compiler.checkFonts(session.figmaData);
+        console.log('✅ Figma data refreshed' + (failedAssets.length ? ` with ${failedAssets.length} failed assets` : ''));
+        
+        res.json({
+          success: true,
+          message: failedAssets.length ? `Refreshed with ${failedAssets.length} failed assets` : 'Refreshed successfully',
+          failedAssets,
+          failedFonts
+        });
       } catch (err) {
         console.error('❌ Refresh error:', err);
         res.status(500).json({ success: false, error: err.message });
@@ -3604,12 +5508,14 @@ ${renderedHTML}
 
     // Legacy endpoints for backward compatibility
     this.app.get('/refresh', async (req, res) => {
-      if (!figmaData) {
+      const session = this.getSession(req, res);
+      if (!session.figmaData) {
         return res.status(400).json({ success: false, error: 'No design loaded' });
       }
       try {
-        figmaData = await this.fetchFigmaData(fileKey, nodeId);
-        res.json({ success: true, message: 'Figma data refreshed' });
+        session.figmaData = await session.compiler.fetchFigmaData(session.fileKey, session.nodeId);
+        const failedFonts = await session.compiler.checkFonts(session.figmaData);
+        res.json({ success: true, message: 'Figma data refreshed', failedAssets: session.compiler.assetErrors, failedFonts });
       } catch (err) {
         res.status(500).json({ success: false, error: err.message });
       }
@@ -3622,13 +5528,15 @@ ${renderedHTML}
           return res.status(400).json({ success: false, error: 'URL parameter required' });
         }
         
+        const session = this.getSession(req, res);
         const parsed = this.parseFigmaUrl(newUrl);
-        fileKey = parsed.fileKey;
-        nodeId = parsed.nodeId;
-        currentUrl = newUrl;
+        session.fileKey = parsed.fileKey;
+        session.nodeId = parsed.nodeId;
+        session.currentUrl = newUrl;
         
-        figmaData = await this.fetchFigmaData(fileKey, nodeId);
-        res.json({ success: true, message: 'Figma data loaded', name: figmaData.name });
+        session.figmaData = await session.compiler.fetchFigmaData(session.fileKey, session.nodeId);
+        const failedFonts = await session.compiler.checkFonts(session.figmaData);
+        res.json({ success: true, message: 'Figma data loaded', name: session.figmaData.name, failedAssets: session.compiler.assetErrors, failedFonts });
       } catch (err) {
         res.status(500).json({ success: false, error: err.message });
       }
@@ -3655,6 +5563,11 @@ ${renderedHTML}
     }
     
     const fileName = figmaData?.name || 'No file loaded';
+    const themeCSS = figmaData ? this.generateVariableThemeCSS() : '';
+    const themePicker = figmaData ? this.generateThemePickerHTML() : '';
+    const assetWarning = figmaData ? this.generateAssetWarningHTML() : '';
+    const fontLinks = figmaData ? this.usedFonts.linkTags() : '';
+    const designFont = figmaData ? this.usedFonts.fontStack() : WebFonts.SYSTEM_FONT_STACK;
     
     return `<!DOCTYPE html>
 <html lang="en">
@@ -3662,7 +5575,7 @@ ${renderedHTML}
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Figma MCP Compiler</title>
-    <link href="https://fonts.googleapis.com/css2?family=Source+Sans+3:wght@400;500;600;700&display=swap" rel="stylesheet">
+${fontLinks}
     <script src="https://unpkg.com/@lottiefiles/dotlottie-wc@latest/dist/dotlottie-wc.js" type="module"></script>
     <style>
         * {
@@ -3670,7 +5583,7 @@ ${renderedHTML}
         }
         
         body {
-            font-family: 'Source Sans 3', sans-serif;
+            font-family: ${WebFonts.SYSTEM_FONT_STACK};
             margin: 0;
             padding: 20px;
             background: #f5f5f5;
@@ -3858,6 +5771,21 @@ ${renderedHTML}
             background: #4fc3f7;
         }
         
+        .theme-picker {
+            display: flex;
+            gap: 8px;
+        }
+        
+        .theme-select {
+            padding: 10px 12px;
+            border: 1px solid #E0E0E0;
+            border-radius: 4px;
+            font-size: 14px;
+            font-family: inherit;
+            background: white;
+            color: #1e1e1e;
+        }
+        
         .divider {
             height: 1px;
             background: #E0E0E0;
@@ -3865,6 +5793,7 @@ ${renderedHTML}
         }
         
         .figma-output {
+            font-family: ${designFont};
             background: white;
             border: 1px solid #E0E0E0;
             border-radius: 4px;
@@ -3918,6 +5847,25 @@ ${renderedHTML}
             display: none;
         }
         
+        .asset-warning {
+            color: #92400E;
+            background: #FFFBEB;
+            padding: 10px 15px;
+            border-radius: 4px;
+            margin-top: 10px;
+            font-size: 13px;
+        }
+        
+        .asset-warning summary {
+            cursor: pointer;
+            font-weight: 600;
+        }
+        
+        .asset-warning ul {
+            margin: 8px 0 0;
+            padding-left: 20px;
+        }
+        
         h3 {
             margin: 0 0 10px 0;
             font-size: 16px;
@@ -3963,6 +5911,10 @@ ${renderedHTML}
                     </svg>
                     Load
                 </button>
+                <button class="load-button" onclick="document.getElementById('snapshotFile').click()" title="Open a .figsnap snapshot">
+                    Open snapshot
+                </button>
+                <input type="file" id="snapshotFile" accept=".figsnap" style="display: none;" onchange="loadSnapshot(this)">
             </div>
             
             <div class="output-toggle">
@@ -3982,12 +5934,31 @@ ${renderedHTML}
                     </svg>
                     React
                 </button>
+                <select class="theme-select" title="Export design tokens" onchange="exportTokens(this)">
+                    <option value="">Tokens...</option>
+                    <option value="dtcg">DTCG JSON</option>
+                    <option value="css">CSS variables</option>
+                    <option value="scss">SCSS</option>
+                    <option value="tailwind">Tailwind theme</option>
+                    <option value="js">JS module</option>
+                </select>
+                <button class="toggle-btn" onclick="exportSnapshot()" id="btn-snapshot" title="Save an offline .figsnap snapshot">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14" style="vertical-align: middle; margin-right: 4px;">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                        <polyline points="7 10 12 15 17 10"/>
+                        <line x1="12" y1="15" x2="12" y2="3"/>
+                    </svg>
+                    Snapshot
+                </button>
             </div>
+            
+            ${themePicker ? `<div class="theme-picker">${themePicker}</div>` : ''}
         </div>
         
         <div class="divider"></div>
         
         <div id="errorMsg" class="error-message"></div>
+        ${assetWarning}
         <div id="successMsg" class="success-message"></div>
         
         <!-- React Preview (default) -->
@@ -4001,6 +5972,7 @@ ${renderedHTML}
     <link rel="stylesheet" href="/node_modules/@digdir/designsystemet-css/dist/src/index.css">
     <link rel="stylesheet" href="/node_modules/rk-design-tokens/design-tokens-build/theme.css">
     <link rel="stylesheet" href="/node_modules/rk-designsystem/dist/rk-designsystem.css">
+    ${themeCSS ? `<style id="figma-variables">\n${themeCSS}\n    </style>` : ''}
     
     <script>
         // Get config from localStorage
@@ -4020,6 +5992,51 @@ ${renderedHTML}
             window.location.href = '/api/export-react';
         }
         
+        function exportTokens(select) {
+            if (!select.value) return;
+            window.location.href = '/api/export-tokens?format=' + select.value;
+            select.value = '';
+        }
+        
+        function exportSnapshot() {
+            window.location.href = '/api/export-snapshot';
+        }
+        
+        async function loadSnapshot(input) {
+            const file = input.files[0];
+            input.value = '';
+            if (!file) return;
+            
+            try {
+                const response = await fetch('/api/load-snapshot', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: file
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    showSuccess('Snapshot loaded: ' + data.name);
+                    setTimeout(() => window.location.reload(), 500);
+                } else {
+                    showError(data.error || 'Failed to load snapshot');
+                }
+            } catch (err) {
+                showError('Connection error: ' + err.message);
+            }
+        }
+        
+        // Switch a Figma variable mode on the preview (data-color-scheme / data-theme)
+        function setVariableMode(attribute, value) {
+            const preview = document.querySelector('.figma-output');
+            if (value) {
+                preview.setAttribute(attribute, value);
+            } else {
+                preview.removeAttribute(attribute);
+            }
+        }
+        
         async function loadFromFigma() {
             const url = document.getElementById('figmaUrl').value.trim();
             const config = getConfig();
@@ -4048,7 +6065,8 @@ ${renderedHTML}
                 const data = await response.json();
                 
                 if (data.success) {
-                    showSuccess('Design loaded: ' + data.name);
+                    const failed = data.failedAssets?.length || 0;
+                    showSuccess('Design loaded: ' + data.name + (failed ? ' (' + failed + ' assets failed)' : ''));
                     setTimeout(() => window.location.reload(), 500);
                 } else {
                     showError(data.error || 'Failed to load design');
@@ -4082,7 +6100,8 @@ ${renderedHTML}
                 const data = await response.json();
                 
                 if (data.success) {
-                    showSuccess('Design refreshed');
+                    const failed = data.failedAssets?.length || 0;
+                    showSuccess('Design refreshed' + (failed ? ' (' + failed + ' assets failed)' : ''));
                     setTimeout(() => window.location.reload(), 500);
                 } else {
                     showError(data.error || 'Failed to refresh');
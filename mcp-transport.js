@@ -0,0 +1,293 @@
+/**
+ * MCP Transports
+ * JSON-RPC 2.0 transports for talking to a Model Context Protocol server:
+ * - stdio: spawn a local MCP server command and exchange newline-delimited JSON
+ * - Streamable HTTP: POST messages to a single endpoint, responses as JSON or SSE
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const fetch = require('node-fetch');
+
+/**
+ * Shared request/response bookkeeping for both transports
+ */
+class JsonRpcTransport {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  /**
+   * Send a JSON-RPC request and resolve with its result
+   */
+  request(method, params) {
+    const id = this.nextId++;
+    const message = { jsonrpc: '2.0', id, method };
+    if (params !== undefined) message.params = params;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request timed out: ${method}`));
+      }, this.timeout);
+
+      this.pending.set(id, { resolve, reject, timer, method });
+      this._send(message).catch(error => this._settle(id, error));
+    });
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response expected)
+   */
+  async notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params !== undefined) message.params = params;
+    await this._send(message);
+  }
+
+  /**
+   * Route an incoming message to its pending request, or answer server requests
+   */
+  _handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    // Response to one of our requests
+    if (message.id !== undefined && (message.result !== undefined || message.error !== undefined)) {
+      if (message.error) {
+        this._settle(message.id, new Error(`MCP error: ${message.error.message}`));
+      } else {
+        this._settle(message.id, null, message.result);
+      }
+      return;
+    }
+
+    // Request from the server - we only support ping
+    if (message.id !== undefined && message.method) {
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } };
+      this._send(reply).catch(() => {});
+      return;
+    }
+
+    if (process.env.ENABLE_LOGGING === 'true' && message.method) {
+      console.log(`📨 MCP notification: ${message.method}`);
+    }
+  }
+
+  _settle(id, error, result) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    this.pending.delete(id);
+    clearTimeout(pending.timer);
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  _rejectAll(error) {
+    for (const id of Array.from(this.pending.keys())) {
+      this._settle(id, error);
+    }
+  }
+}
+
+/**
+ * stdio transport - the MCP server runs as a child process
+ */
+class StdioTransport extends JsonRpcTransport {
+  constructor(options = {}) {
+    super(options);
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env || {};
+    this.child = null;
+  }
+
+  async start() {
+    if (!this.command) {
+      throw new Error('MCP stdio transport requires a command');
+    }
+
+    this.child = spawn(this.command, this.args, {
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    // A missing command surfaces as an 'error' event - fail whatever is pending
+    this.child.on('error', err => {
+      this.child = null;
+      this._rejectAll(new Error(`Failed to start MCP server: ${err.message}`));
+    });
+    this.child.stdin.on('error', () => {});
+
+    readline.createInterface({ input: this.child.stdout }).on('line', line => {
+      if (!line.trim()) return;
+      try {
+        this._handleMessage(JSON.parse(line));
+      } catch (err) {
+        // Servers sometimes print banners to stdout - ignore non-JSON lines
+      }
+    });
+
+    // MCP servers log to stderr
+    readline.createInterface({ input: this.child.stderr }).on('line', line => {
+      if (process.env.ENABLE_LOGGING === 'true') {
+        console.log(`   [mcp] ${line}`);
+      }
+    });
+
+    this.child.on('exit', code => {
+      this.child = null;
+      this._rejectAll(new Error(`MCP server exited with code ${code}`));
+    });
+  }
+
+  async _send(message) {
+    if (!this.child) {
+      throw new Error('MCP server process is not running');
+    }
+    this.child.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  async close() {
+    if (this.child) {
+      this.child.stdin.end();
+      this.child.kill();
+      this.child = null;
+    }
+  }
+}
+
+/**
+ * Streamable HTTP transport - every message is POSTed to one MCP endpoint,
+ * and the server answers with either a JSON body or an SSE stream
+ */
+class StreamableHttpTransport extends JsonRpcTransport {
+  constructor(options = {}) {
+    super(options);
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.sessionId = null;
+    this.protocolVersion = null;
+  }
+
+  async start() {
+    if (!this.url) {
+      throw new Error('MCP HTTP transport requires a URL');
+    }
+  }
+
+  _requestHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      ...this.headers
+    };
+    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+    if (this.protocolVersion) headers['MCP-Protocol-Version'] = this.protocolVersion;
+    return headers;
+  }
+
+  async _send(message) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this._requestHeaders(),
+      body: JSON.stringify(message),
+      timeout: this.timeout
+    });
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) this.sessionId = sessionId;
+
+    // Notifications and responses are acknowledged without a body
+    if (response.status === 202) return;
+
+    if (!response.ok) {
+      throw new Error(`MCP server error: ${response.status} ${response.statusText}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      const text = await response.text();
+      for (const data of StreamableHttpTransport.parseSSE(text)) {
+        try {
+          this._handleMessage(JSON.parse(data));
+        } catch (err) {
+          // Ignore keep-alive or non-JSON events
+        }
+      }
+    } else if (contentType.includes('application/json')) {
+      const body = await response.json();
+      (Array.isArray(body) ? body : [body]).forEach(msg => this._handleMessage(msg));
+    }
+  }
+
+  /**
+   * Extract the data payloads from an SSE stream body
+   */
+  static parseSSE(text) {
+    const events = [];
+    for (const block of text.split(/\r?\n\r?\n/)) {
+      const data = block.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (data) events.push(data);
+    }
+    return events;
+  }
+
+  async close() {
+    // Let the server release the session; failures don't matter here
+    if (this.sessionId) {
+      try {
+        await fetch(this.url, { method: 'DELETE', headers: this._requestHeaders(), timeout: 5000 });
+      } catch (err) {
+        // ignore
+      }
+      this.sessionId = null;
+    }
+  }
+}
+
+/**
+ * Split a command line like `npx -y figma-developer-mcp --stdio` into command and args
+ * (supports simple single/double quoting)
+ */
+function parseCommandLine(commandLine) {
+  const parts = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(commandLine)) !== null) {
+    parts.push(match[1] ?? match[2] ?? match[3]);
+  }
+  return { command: parts[0], args: parts.slice(1) };
+}
+
+/**
+ * Create the transport for a server config: a `command` selects stdio, a `url` Streamable HTTP
+ */
+function createTransport(config = {}) {
+  if (config.command) {
+    const parsed = Array.isArray(config.args)
+      ? { command: config.command, args: config.args }
+      : parseCommandLine(config.command);
+    return new StdioTransport({ ...parsed, env: config.env, timeout: config.timeout });
+  }
+  if (config.url) {
+    return new StreamableHttpTransport({ url: config.url, headers: config.headers, timeout: config.timeout });
+  }
+  return null;
+}
+
+module.exports = {
+  StdioTransport,
+  StreamableHttpTransport,
+  createTransport,
+  parseCommandLine
+};
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Figma Server
+ * A local stand-in for the Figma REST API, serving designs from fixture folders so the
+ * compile → export pipeline can run end to end without Figma (tests, demos, offline work).
+ *
+ * Fixture layout - one folder per file key under the fixtures directory:
+ *   <fileKey>/file.json          GET /v1/files/:key (and /nodes, /v1/images look nodes up here)
+ *   <fileKey>/variables.json     GET /v1/files/:key/variables/local (optional, 404 without it)
+ *   <fileKey>/styles.json        GET /v1/files/:key/styles (optional)
+ *   <fileKey>/components.json    GET /v1/files/:key/components (optional)
+ *   <fileKey>/renders/<id>.<fmt> Node renders for /v1/images, node ID with ':' as '-' (e.g. 1-5.svg)
+ *   <fileKey>/images/<ref>.<ext> Image fills for /v1/files/:key/images, named by imageRef
+ *   me.json                      GET /v1/me (optional)
+ *
+ * Point the compiler at it with FIGMA_API_BASE_URL=http://localhost:4010/v1
+ * (or `figma-compile build --api-url`); any token is accepted unless one is configured.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const DEFAULT_USER = { id: 'mock-user', handle: 'Mock User', email: 'mock@example.com', img_url: '' };
+
+class MockFigmaServer {
+  /**
+   * @param {Object} options
+   * @param {string} [options.fixturesDir] - fixture folders (default MOCK_FIGMA_FIXTURES or ./fixtures)
+   * @param {number} [options.port] - port to listen on, 0 for any free port (default MOCK_FIGMA_PORT or 4010)
+   * @param {string} [options.token] - only accept this X-Figma-Token (default: any non-empty token)
+   */
+  constructor(options = {}) {
+    this.fixturesDir = path.resolve(options.fixturesDir || process.env.MOCK_FIGMA_FIXTURES || DEFAULT_FIXTURES_DIR);
+    this.port = options.port ?? (parseInt(process.env.MOCK_FIGMA_PORT) || DEFAULT_PORT);
+    this.token = options.token || null;
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  /**
+   * Base URL to use as FIGMA_API_BASE_URL once started
+   */
+  get baseUrl() {
+    return `http://localhost:${this.server ? this.server.address().port : this.port}/v1`;
+  }
+
+  /**
+   * Start listening. Resolves with the API base URL
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, () => resolve(this.baseUrl));
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  createApp() {
+    const app = express();
+    const api = express.Router();
+
+    // Figma answers 403 for a missing or invalid token
+    api.use((req, res, next) => {
+      const token = req.get('X-Figma-Token');
+      if (!token || (this.token && token !== this.token)) {
+        return res.status(403).json({ status: 403, err: 'Invalid token' });
+      }
+      next();
+    });
+
+    api.get('/me', (req, res) => {
+      res.json(this.readJSON('me.json') || DEFAULT_USER);
+    });
+
+    api.get('/files/:key', (req, res) => {
+      const file = this.readFile(req.params.key);
+      if (!file) return this.notFound(res);
+      const depth = parseInt(req.query.depth);
+      res.json(depth > 0 ? { ...file, document: this.limitDepth(file.document, depth) } : file);
+    });
+
+    api.get('/files/:key/nodes', (req, res) => {
+      const file = this.readFile(req.params.key);
+      if (!file) return this.notFound(res);
+      const nodes = {};
+      for (const id of this.parseIds(req.query.ids)) {
+        const node = this.findNode(file.document, id);
+        nodes[id] = node ? {
+          document: node,
+          components: file.components || {},
+          componentSets: file.componentSets || {},
+          styles: file.styles || {},
+          schemaVersion: file.schemaVersion || 0
+        } : null;
+      }
+      res.json({ name: file.name, lastModified: file.lastModified, version: file.version, nodes });
+    });
+
+    // Node renders; like Figma, a node with nothing to render maps to null
+    api.get('/images/:key', (req, res) => {
+      const file = this.readFile(req.params.key);
+      if (!file) return this.notFound(res);
+      const format = req.query.format || 'png';
+      const images = {};
+      for (const id of this.parseIds(req.query.ids)) {
+        const name = `${id.replace(/:/g, '-')}.${format}`;
+        images[id] = this.exists(req.params.key, 'renders', name) ? this.assetUrl(req, req.params.key, 'renders', name) : null;
+      }
+      res.json({ err: null, images });
+    });
+
+    api.get('/files/:key/images', (req, res) => {
+      if (!this.readFile(req.params.key)) return this.notFound(res);
+      const images = {};
+      for (const name of this.listDir(req.params.key, 'images')) {
+        images[path.parse(name).name] = this.assetUrl(req, req.params.key, 'images', name);
+      }
+      res.json({ error: false, status: 200, meta: { images } });
+    });
+
+    api.get('/files/:key/variables/local', (req, res) => {
+      const variables = this.readJSON(req.params.key, 'variables.json');
+      if (!variables) return this.notFound(res);
+      res.json(variables);
+    });
+
+    api.get('/files/:key/styles', (req, res) => {
+      if (!this.readFile(req.params.key)) return this.notFound(res);
+      res.json(this.readJSON(req.params.key, 'styles.json') || { error: false, status: 200, meta: { styles: [] } });
+    });
+
+    api.get('/files/:key/components', (req, res) => {
+      if (!this.readFile(req.params.key)) return this.notFound(res);
+      res.json(this.readJSON(req.params.key, 'components.json') || { error: false, status: 200, meta: { components: [] } });
+    });
+
+    api.use((req, res) => this.notFound(res));
+
+    app.use('/v1', api);
+    // Rendered and image fill files, standing in for Figma's CDN (no token needed)
+    app.use('/assets', express.static(this.fixturesDir));
+
+    return app;
+  }
+
+  notFound(res) {
+    res.status(404).json({ status: 404, err: 'Not found' });
+  }
+
+  readFile(fileKey) {
+    return this.readJSON(fileKey, 'file.json');
+  }
+
+  // JSON fixture, or null when it doesn't exist. Path segments stay inside the fixtures dir
+  readJSON(...segments) {
+    const filePath = this.resolve(...segments);
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  exists(...segments) {
+    const filePath = this.resolve(...segments);
+    return !!filePath && fs.existsSync(filePath);
+  }
+
+  listDir(...segments) {
+    const dirPath = this.resolve(...segments);
+    return dirPath && fs.existsSync(dirPath) ? fs.readdirSync(dirPath) : [];
+  }
+
+  resolve(...segments) {
+    const filePath = path.resolve(this.fixturesDir, ...segments);
+    return filePath.startsWith(this.fixturesDir + path.sep) ? filePath : null;
+  }
+
+  assetUrl(req, ...segments) {
+    return `${req.protocol}://${req.get('host')}/assets/${segments.map(encodeURIComponent).join('/')}`;
+  }
+
+  parseIds(ids) {
+    return String(ids || '').split(',').map(id => id.trim()).filter(Boolean);
+  }
+
+  findNode(node, id) {
+    if (!node) return null;
+    if (node.id === id) return node;
+    for (const child of node.children || []) {
+      const found = this.findNode(child, id);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // depth=1 returns the pages without their contents, like Figma
+  limitDepth(node, depth) {
+    if (!node.children) return node;
+    if (depth <= 0) {
+      const { children, ...rest } = node;
+      return rest;
+    }
+    return { ...node, children: node.children.map(child => this.limitDepth(child, depth - 1)) };
+  }
+}
+
+// CLI usage: node mock-figma-server.js [port] [fixtures-dir]
+if (require.main === module) {
+  const server = new MockFigmaServer({
+    port: parseInt(process.argv[2]) || undefined,
+    fixturesDir: process.argv[3]
+  });
+  server.start().then(baseUrl => {
+    console.log('🧪 Mock Figma API running at ' + baseUrl);
+    console.log('📁 Serving fixtures from ' + server.fixturesDir);
+    console.log('💡 Set FIGMA_API_BASE_URL=' + baseUrl + ' to compile against it');
+  });
+}
+
+module.exports = MockFigmaServer;
@@ -0,0 +1,222 @@
+/**
+ * Web Fonts
+ * Collects the font families, weights and styles a design's text uses while it is
+ * translated, and loads them from Google Fonts - linked from the page, or downloaded
+ * into the export (self-hosted) so it renders the same offline and without
+ * third-party requests.
+ */
+
+const GOOGLE_FONTS_CSS_URL = 'https://fonts.googleapis.com/css2';
+
+// Google Fonts only serves woff2 to browsers it recognises
+const WOFF2_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+// Fonts that come with the OS (or are only licensed per platform) - never requested
+const SYSTEM_FONTS = new Set([
+  'arial', 'helvetica', 'helvetica neue', 'times', 'times new roman', 'georgia', 'verdana',
+  'tahoma', 'trebuchet ms', 'courier', 'courier new', 'segoe ui', 'system-ui', '-apple-system',
+  'sf pro', 'sf pro text', 'sf pro display', 'sf pro rounded', 'sf mono', 'new york',
+  'menlo', 'monaco', 'consolas'
+]);
+
+// Google Fonts stylesheets already requested in this process, by css2 URL: the stylesheet,
+// or the 400 error for a family or weights Google doesn't have. Lets the live pages link
+// only what an earlier check found
+const checkedStylesheets = new Map();
+
+// Body text fallback when the design's own font isn't available (or the page is UI chrome)
+const SYSTEM_FONT_STACK = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+class WebFonts {
+  constructor() {
+    this.families = new Map(); // family -> Map of 'ital,wght' (e.g. '1,700') -> { weight, italic }
+    this.uses = new Map(); // family -> number of text layers and runs set in it
+  }
+
+  static get SYSTEM_FONT_STACK() {
+    return SYSTEM_FONT_STACK;
+  }
+
+  /**
+   * Fonts that ship with the OS, which the page uses as they are
+   */
+  static isSystemFont(family) {
+    return SYSTEM_FONTS.has(String(family).toLowerCase());
+  }
+
+  /**
+   * Google Fonts css2 URL for one family. Without variants Google serves the regular style
+   */
+  static cssUrl(family, variants = []) {
+    let spec = encodeURIComponent(family).replace(/%20/g, '+');
+    if (variants.length > 0) {
+      const tuples = variants
+        .map(variant => `${variant.italic ? 1 : 0},${variant.weight}`)
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+      spec += `:ital,wght@${tuples.join(';')}`;
+    }
+    return `${GOOGLE_FONTS_CSS_URL}?family=${spec}&display=swap`;
+  }
+
+  /**
+   * Record a family/weight/style combination. Weights snap to the nearest hundred,
+   * which is what Google Fonts serves
+   */
+  add(family, weight = 400, italic = false) {
+    if (!family) return;
+    const snapped = Math.min(900, Math.max(100, Math.round((Number(weight) || 400) / 100) * 100));
+    if (!this.families.has(family)) this.families.set(family, new Map());
+    this.families.get(family).set(`${italic ? 1 : 0},${snapped}`, { weight: snapped, italic: !!italic });
+    this.uses.set(family, (this.uses.get(family) || 0) + 1);
+  }
+
+  /**
+   * The family most of the design's text is set in, or null without text
+   */
+  primaryFamily() {
+    let primary = null;
+    for (const [family, count] of this.uses) {
+      if (!primary || count > this.uses.get(primary)) primary = family;
+    }
+    return primary;
+  }
+
+  /**
+   * font-family value for a page's body: the design's main family, then system fonts
+   */
+  fontStack() {
+    const family = this.primaryFamily();
+    return family ? `'${family}', ${SYSTEM_FONT_STACK}` : SYSTEM_FONT_STACK;
+  }
+
+  /**
+   * Readable weights and styles of a font, e.g. "400, 700 italic"
+   */
+  static describeVariants(variants) {
+    return variants
+      .slice()
+      .sort((a, b) => a.weight - b.weight || a.italic - b.italic)
+      .map(variant => `${variant.weight}${variant.italic ? ' italic' : ''}`)
+      .join(', ');
+  }
+
+  /**
+   * [{ family, variants: [{ weight, italic }] }] of the fonts to load, system fonts left out
+   */
+  list() {
+    return Array.from(this.families, ([family, variants]) => ({ family, variants: Array.from(variants.values()) }))
+      .filter(font => !WebFonts.isSystemFont(font.family))
+      .sort((a, b) => a.family.localeCompare(b.family));
+  }
+
+  /**
+   * <link> tags loading the fonts from Google Fonts, one per family so a family Google
+   * doesn't have can't break the others. For live pages, which can't wait for a check:
+   * families an earlier resolve() found missing are left out, and missing weights or
+   * styles fall back to the regular style
+   */
+  linkTags(indent = '    ') {
+    return this.list()
+      .map(font => WebFonts.checkedUrl(font))
+      .filter(Boolean)
+      .map(url => `${indent}<link href="${url}" rel="stylesheet">`)
+      .join('\n');
+  }
+
+  /**
+   * Stylesheet URL to link for a font given the checks made so far, or null when Google
+   * Fonts doesn't have the family
+   */
+  static checkedUrl(font) {
+    const isMissing = url => checkedStylesheets.get(url) instanceof Error;
+    const url = WebFonts.cssUrl(font.family, font.variants);
+    if (!isMissing(url)) return url;
+    const regularUrl = WebFonts.cssUrl(font.family);
+    return isMissing(regularUrl) ? null : regularUrl;
+  }
+
+  /**
+   * Web fonts for an export or page. Each family's stylesheet is requested: a family
+   * with weights Google doesn't have falls back to its regular style, and one it doesn't
+   * have at all is left out - both are listed in `failed`. Linked mode returns the
+   * stylesheet URLs for the browser to load, keeping a family Google Fonts couldn't be
+   * reached for (also listed). Self-hosted mode (`assets` set) downloads the woff2 files
+   * through `assets` and returns @font-face rules pointing at them.
+   * @param {Object} options
+   * @param {FigmaHttpClient} options.http
+   * @param {ExportAssets} [options.assets] - set to self-host the font files
+   * @returns {Promise<{ links: string[], css: string, failed: Array<{ family, variants, message }> }>}
+   */
+  async resolve({ http, assets = null }) {
+    const links = [];
+    const rules = [];
+    const failed = [];
+    for (const font of this.list()) {
+      const fail = message => failed.push({ family: font.family, variants: WebFonts.describeVariants(font.variants), message });
+      let url = WebFonts.cssUrl(font.family, font.variants);
+      let css;
+      try {
+        css = await this.fetchCSS(http, url);
+      } catch (err) {
+        if (err.status !== 400) {
+          fail(`Could not reach Google Fonts (${err.code || err.message})`);
+          // The browser may still load it
+          if (!assets) links.push(url);
+          continue;
+        }
+        try {
+          url = WebFonts.cssUrl(font.family);
+          css = await this.fetchCSS(http, url);
+          fail('These weights or styles are not on Google Fonts - using the regular style');
+        } catch (fallbackErr) {
+          fail('Not on Google Fonts - it needs to be installed or hosted separately');
+          continue;
+        }
+      }
+
+      if (!assets) {
+        links.push(url);
+        continue;
+      }
+      try {
+        rules.push(await this.selfHost(http, assets, font.family, css));
+      } catch (err) {
+        fail(`Font files could not be downloaded (${err.code || err.message})`);
+      }
+    }
+
+    return { links, css: rules.join('\n\n'), failed };
+  }
+
+  async fetchCSS(http, url) {
+    const checked = checkedStylesheets.get(url);
+    if (checked instanceof Error) throw checked;
+    if (checked !== undefined) return checked;
+    try {
+      const css = await http.getText(url, { headers: { 'User-Agent': WOFF2_USER_AGENT } });
+      checkedStylesheets.set(url, css);
+      return css;
+    } catch (err) {
+      // Only "not on Google Fonts" is remembered - a network error may not happen again
+      if (err.status === 400) checkedStylesheets.set(url, err);
+      throw err;
+    }
+  }
+
+  // Download the files a Google Fonts stylesheet references into the export and point
+  // its @font-face rules at them. Unicode-range subsets stay separate files
+  async selfHost(http, assets, family, css) {
+    const fileUrls = Array.from(new Set(css.match(/https:\/\/fonts\.gstatic\.com\/[^)'"\s]+/g) || []));
+    const localPaths = new Map();
+    await Promise.all(fileUrls.map(async fileUrl => {
+      const buffer = await http.getBuffer(fileUrl);
+      localPaths.set(fileUrl, assets.addContent(buffer, family, 'font/woff2'));
+    }));
+    return css
+      .replace(/\/\*[^*]*\*\/\s*/g, '')
+      .replace(/https:\/\/fonts\.gstatic\.com\/[^)'"\s]+/g, fileUrl => localPaths.get(fileUrl))
+      .trim();
+  }
+}
+
+module.exports = WebFonts;